@@ -0,0 +1,193 @@
+/**
+ * Adaptive Practice for Pac-Man Typing Test
+ * Remembers per-key and per-bigram weakness across tests and weights word picks toward it
+ */
+
+class AdaptivePractice {
+  constructor() {
+    this.storageKey = 'pacmanTyping.adaptive';
+    this.version = 1;
+    
+    // Weighting settings
+    this.config = {
+      decay: 0.85, // Older tests fade by this factor every time a new one is added
+      minKeyAttempts: 5, // Keys seen fewer times than this aren't judged yet
+      minBigramCount: 3,
+      errorWeight: 3, // A 10% miss rate weighs as much as being 30% slower than average
+      strength: 2, // How hard word picks lean toward weak keys
+      focusKeys: 5 // Weakest keys listed in the status
+    };
+    
+    // Running totals per key and bigram
+    this.profile = this.createProfile();
+    
+    // Weakness scores, rebuilt whenever the profile changes
+    this.keyWeakness = new Map();
+    this.bigramWeakness = new Map();
+  }
+  
+  init() {
+    this.load();
+    this.computeWeakness();
+    
+    console.log(`Adaptive Practice initialized from ${this.profile.tests} test(s)`);
+  }
+  
+  createProfile() {
+    return {
+      version: this.version,
+      tests: 0,
+      keys: {}, // char -> { attempts, misses, totalMs, timedHits }
+      bigrams: {} // pair -> { count, totalMs }
+    };
+  }
+  
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (stored && stored.version === this.version) {
+        this.profile = stored;
+      }
+    } catch (error) {
+      console.warn('Failed to read adaptive practice data:', error);
+    }
+  }
+  
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.profile));
+    } catch (error) {
+      console.warn('Failed to save adaptive practice data:', error);
+    }
+  }
+  
+  reset() {
+    this.profile = this.createProfile();
+    this.computeWeakness();
+    this.save();
+  }
+  
+  update(report) {
+    // Folds one analytics report into the profile, with older tests counting for less
+    if (!report) return;
+    
+    const decay = this.config.decay;
+    Object.values(this.profile.keys).forEach(stats => {
+      stats.attempts *= decay;
+      stats.misses *= decay;
+      stats.totalMs *= decay;
+      stats.timedHits *= decay;
+    });
+    Object.values(this.profile.bigrams).forEach(stats => {
+      stats.count *= decay;
+      stats.totalMs *= decay;
+    });
+    
+    report.keys.forEach(key => {
+      const stats = this.profile.keys[key.char] || (this.profile.keys[key.char] = { attempts: 0, misses: 0, totalMs: 0, timedHits: 0 });
+      stats.attempts += key.attempts;
+      stats.misses += key.misses;
+      
+      // Reports carry an average, so it is weighted back up by the attempts it covers
+      if (key.avgMs > 0) {
+        stats.totalMs += key.avgMs * key.attempts;
+        stats.timedHits += key.attempts;
+      }
+    });
+    
+    report.bigrams.forEach(bigram => {
+      const stats = this.profile.bigrams[bigram.pair] || (this.profile.bigrams[bigram.pair] = { count: 0, totalMs: 0 });
+      stats.count += bigram.count;
+      stats.totalMs += bigram.avgMs * bigram.count;
+    });
+    
+    this.profile.tests++;
+    this.computeWeakness();
+    this.save();
+  }
+  
+  computeWeakness() {
+    this.keyWeakness = new Map();
+    this.bigramWeakness = new Map();
+    
+    const keys = Object.entries(this.profile.keys)
+      .filter(([char, stats]) => char.trim() !== '' && stats.attempts >= this.config.minKeyAttempts);
+    const timedKeys = keys.filter(([, stats]) => stats.timedHits > 0);
+    const meanKeyMs = this.average(timedKeys.map(([, stats]) => stats.totalMs / stats.timedHits));
+    
+    // Weakness mixes how often a key is missed with how much slower than average it is
+    keys.forEach(([char, stats]) => {
+      const errorRate = stats.misses / stats.attempts;
+      const slowness = stats.timedHits > 0 && meanKeyMs > 0 ? Math.max(0, (stats.totalMs / stats.timedHits) / meanKeyMs - 1) : 0;
+      const weakness = errorRate * this.config.errorWeight + slowness;
+      
+      if (weakness > 0) {
+        this.keyWeakness.set(char, weakness);
+      }
+    });
+    
+    const bigrams = Object.entries(this.profile.bigrams)
+      .filter(([, stats]) => stats.count >= this.config.minBigramCount);
+    const meanBigramMs = this.average(bigrams.map(([, stats]) => stats.totalMs / stats.count));
+    
+    bigrams.forEach(([pair, stats]) => {
+      const slowness = meanBigramMs > 0 ? (stats.totalMs / stats.count) / meanBigramMs - 1 : 0;
+      if (slowness > 0) {
+        this.bigramWeakness.set(pair, slowness);
+      }
+    });
+  }
+  
+  average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+  
+  hasData() {
+    return this.keyWeakness.size > 0 || this.bigramWeakness.size > 0;
+  }
+  
+  getWordWeight(word) {
+    // Every weak key and slow bigram in the word makes it more likely to be picked
+    let weakness = 0;
+    
+    for (let i = 0; i < word.length; i++) {
+      weakness += this.keyWeakness.get(word[i]) || 0;
+      if (i > 0) {
+        weakness += this.bigramWeakness.get(word.substring(i - 1, i + 1)) || 0;
+      }
+    }
+    
+    return 1 + this.config.strength * weakness;
+  }
+  
+  pickWords(words, targetChars, random) {
+    // Weighted picks on the seeded generator, never the same word twice in a row
+    const weights = words.map(word => this.getWordWeight(word));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const picked = [];
+    let length = 0;
+    
+    while (length < targetChars && words.length > 0) {
+      let roll = random.next() * totalWeight;
+      let index = 0;
+      while (index < words.length - 1 && roll >= weights[index]) {
+        roll -= weights[index];
+        index++;
+      }
+      
+      if (words.length > 1 && words[index] === picked[picked.length - 1]) continue;
+      
+      picked.push(words[index]);
+      length += words[index].length + 1; // +1 for space
+    }
+    
+    return picked;
+  }
+  
+  getFocusKeys() {
+    return Array.from(this.keyWeakness.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.config.focusKeys)
+      .map(([char]) => char);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,376 @@
+/**
+ * Analytics Manager for Pac-Man Typing Test
+ * Breaks a finished test down per word, per key and per bigram, and renders
+ * the results table and keyboard heatmap
+ */
+
+class AnalyticsManager {
+  constructor() {
+    // Table views and their columns
+    this.views = {
+      words: {
+        columns: [
+          { key: 'word', label: 'Word' },
+          { key: 'wpm', label: 'WPM', format: (value) => Math.round(value) },
+          { key: 'avgMs', label: 'ms/char', format: (value) => Math.round(value) },
+          { key: 'occurrences', label: 'Seen' },
+          { key: 'errors', label: 'Errors' }
+        ],
+        defaultSort: { key: 'wpm', direction: 'asc' }
+      },
+      keys: {
+        columns: [
+          { key: 'char', label: 'Key' },
+          { key: 'attempts', label: 'Hits' },
+          { key: 'misses', label: 'Misses' },
+          { key: 'errorRate', label: 'Miss %', format: (value) => Math.round(value * 100) + '%' },
+          { key: 'avgMs', label: 'Avg ms', format: (value) => Math.round(value) }
+        ],
+        defaultSort: { key: 'misses', direction: 'desc' }
+      },
+      bigrams: {
+        columns: [
+          { key: 'pair', label: 'Pair' },
+          { key: 'count', label: 'Count' },
+          { key: 'avgMs', label: 'Avg ms', format: (value) => Math.round(value) }
+        ],
+        defaultSort: { key: 'avgMs', direction: 'desc' }
+      }
+    };
+    
+    // Physical keyboard layout used by the heatmap
+    this.keyboardRows = [
+      ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
+      ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
+      ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', '\''],
+      ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/'],
+      [' ']
+    ];
+    
+    // Shifted characters share a key with their unshifted counterpart
+    this.shiftedKeys = {
+      '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7',
+      '*': '8', '(': '9', ')': '0', '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\',
+      ':': ';', '"': '\'', '<': ',', '>': '.', '?': '/'
+    };
+    
+    this.maxTableRows = 15;
+    
+    // Current view state
+    this.report = null;
+    this.currentView = 'words';
+    this.sort = { ...this.views.words.defaultSort };
+    this.heatmapMetric = 'misses';
+    
+    // DOM elements
+    this.elements = {
+      viewSelect: null,
+      table: null,
+      heatmapMetricSelect: null,
+      heatmap: null
+    };
+  }
+  
+  init() {
+    this.elements.viewSelect = document.getElementById('analyticsViewSelect');
+    this.elements.table = document.getElementById('analyticsTable');
+    this.elements.heatmapMetricSelect = document.getElementById('heatmapMetricSelect');
+    this.elements.heatmap = document.getElementById('keyboardHeatmap');
+    
+    this.setupEventListeners();
+    console.log('Analytics Manager initialized');
+  }
+  
+  setupEventListeners() {
+    if (this.elements.viewSelect) {
+      this.elements.viewSelect.addEventListener('change', (e) => {
+        this.setView(e.target.value);
+      });
+    }
+    
+    if (this.elements.heatmapMetricSelect) {
+      this.elements.heatmapMetricSelect.addEventListener('change', (e) => {
+        this.heatmapMetric = e.target.value;
+        this.renderHeatmap();
+      });
+    }
+    
+    if (this.elements.table) {
+      // Sort by clicking a column header
+      this.elements.table.addEventListener('click', (e) => {
+        const header = e.target.closest('th[data-sort]');
+        if (header) {
+          this.toggleSort(header.dataset.sort);
+        }
+      });
+    }
+  }
+  
+  analyze(text, keystrokes) {
+    const wordsByPosition = this.mapWordPositions(text);
+    const words = new Map();
+    const keys = new Map();
+    const bigrams = new Map();
+    
+    let previousTime = null;
+    let previousCorrectPosition = -1;
+    
+    keystrokes.forEach(keystroke => {
+      // Characters filled in by the code assists were never typed
+      if (keystroke.auto) return;
+      
+      // The first keystroke has no interval: it only measures reaction time
+      const interval = previousTime === null ? null : keystroke.time - previousTime;
+      previousTime = keystroke.time;
+      
+      if (keystroke.type !== 'char' || keystroke.expected === undefined) {
+        previousCorrectPosition = -1;
+        return;
+      }
+      
+      const position = keystroke.position;
+      
+      // Per-key stats
+      const keyStats = this.getOrCreate(keys, keystroke.expected, () => ({
+        char: keystroke.expected,
+        attempts: 0,
+        misses: 0,
+        totalMs: 0,
+        timedHits: 0
+      }));
+      keyStats.attempts++;
+      if (!keystroke.correct) {
+        keyStats.misses++;
+      }
+      if (interval !== null) {
+        keyStats.totalMs += interval;
+        keyStats.timedHits++;
+      }
+      
+      // Per-word stats
+      const wordEntry = wordsByPosition[position];
+      if (wordEntry) {
+        const wordStats = this.getOrCreate(words, wordEntry.word, () => ({
+          word: wordEntry.word,
+          occurrences: new Set(),
+          chars: 0,
+          totalMs: 0,
+          errors: 0
+        }));
+        wordStats.occurrences.add(wordEntry.start);
+        if (!keystroke.correct) {
+          wordStats.errors++;
+        }
+        if (interval !== null) {
+          wordStats.totalMs += interval;
+          wordStats.chars++;
+        }
+      }
+      
+      // Bigram latency between two consecutive correct, non-space characters
+      if (keystroke.correct && interval !== null && previousCorrectPosition === position - 1) {
+        const pair = text.substring(position - 1, position + 1);
+        if (!/\s/.test(pair)) {
+          const bigramStats = this.getOrCreate(bigrams, pair, () => ({
+            pair: pair,
+            count: 0,
+            totalMs: 0
+          }));
+          bigramStats.count++;
+          bigramStats.totalMs += interval;
+        }
+      }
+      
+      previousCorrectPosition = keystroke.correct ? position : -1;
+    });
+    
+    return {
+      words: Array.from(words.values())
+        .filter(stats => stats.chars > 0 && stats.totalMs > 0)
+        .map(stats => ({
+          word: stats.word,
+          occurrences: stats.occurrences.size,
+          errors: stats.errors,
+          avgMs: stats.totalMs / stats.chars,
+          wpm: (stats.chars / 5) / (stats.totalMs / 60000)
+        })),
+      keys: Array.from(keys.values()).map(stats => ({
+        char: stats.char,
+        attempts: stats.attempts,
+        misses: stats.misses,
+        errorRate: stats.misses / stats.attempts,
+        avgMs: stats.timedHits > 0 ? stats.totalMs / stats.timedHits : 0
+      })),
+      bigrams: Array.from(bigrams.values()).map(stats => ({
+        pair: stats.pair,
+        count: stats.count,
+        avgMs: stats.totalMs / stats.count
+      }))
+    };
+  }
+  
+  mapWordPositions(text) {
+    // Maps every character position to the word that contains it
+    const positions = [];
+    const wordPattern = /\S+/g;
+    let match;
+    
+    while ((match = wordPattern.exec(text)) !== null) {
+      const entry = { word: match[0], start: match.index };
+      for (let i = match.index; i < match.index + match[0].length; i++) {
+        positions[i] = entry;
+      }
+    }
+    
+    return positions;
+  }
+  
+  getOrCreate(map, key, create) {
+    if (!map.has(key)) {
+      map.set(key, create());
+    }
+    return map.get(key);
+  }
+  
+  render(report) {
+    this.report = report;
+    this.renderTable();
+    this.renderHeatmap();
+  }
+  
+  setView(view) {
+    if (!this.views[view]) return;
+    
+    this.currentView = view;
+    this.sort = { ...this.views[view].defaultSort };
+    this.renderTable();
+  }
+  
+  toggleSort(key) {
+    if (this.sort.key === key) {
+      this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+      this.sort = { key: key, direction: 'desc' };
+    }
+    this.renderTable();
+  }
+  
+  getSortedRows() {
+    const rows = [...(this.report ? this.report[this.currentView] : [])];
+    const { key, direction } = this.sort;
+    const factor = direction === 'asc' ? 1 : -1;
+    
+    rows.sort((a, b) => {
+      if (typeof a[key] === 'string') {
+        return a[key].localeCompare(b[key]) * factor;
+      }
+      return (a[key] - b[key]) * factor;
+    });
+    
+    return rows.slice(0, this.maxTableRows);
+  }
+  
+  renderTable() {
+    if (!this.elements.table) return;
+    
+    const view = this.views[this.currentView];
+    const rows = this.getSortedRows();
+    
+    let html = '<thead><tr>';
+    view.columns.forEach(column => {
+      const arrow = this.sort.key === column.key ? (this.sort.direction === 'asc' ? ' &#9650;' : ' &#9660;') : '';
+      html += `<th data-sort="${column.key}">${column.label}${arrow}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    if (rows.length === 0) {
+      html += `<tr><td colspan="${view.columns.length}" class="analytics-empty">Not enough data</td></tr>`;
+    }
+    
+    rows.forEach(row => {
+      html += '<tr>';
+      view.columns.forEach(column => {
+        const value = column.format ? column.format(row[column.key]) : row[column.key];
+        html += `<td>${this.escapeHTML(this.displayChar(String(value)))}</td>`;
+      });
+      html += '</tr>';
+    });
+    
+    html += '</tbody>';
+    this.elements.table.innerHTML = html;
+  }
+  
+  renderHeatmap() {
+    if (!this.elements.heatmap) return;
+    
+    const keyStats = this.collectKeyboardStats();
+    const maxValue = Math.max(0, ...Object.values(keyStats).map(stats => this.getHeatValue(stats)));
+    let html = '';
+    
+    this.keyboardRows.forEach(row => {
+      html += '<div class="heatmap-row">';
+      row.forEach(key => {
+        const stats = keyStats[key];
+        const label = key === ' ' ? 'space' : key;
+        let style = '';
+        let title = `${label}: no data`;
+        
+        if (stats) {
+          const intensity = maxValue > 0 ? this.getHeatValue(stats) / maxValue : 0;
+          // Green for clean keys through to red for the worst one
+          const hue = Math.round(120 - intensity * 120);
+          style = ` style="background: hsla(${hue}, 100%, 45%, ${0.25 + intensity * 0.6})"`;
+          title = `${label}: ${stats.attempts} hits, ${stats.misses} misses, ${Math.round(stats.avgMs)}ms avg`;
+        }
+        
+        const spaceClass = key === ' ' ? ' heatmap-space' : '';
+        html += `<div class="heatmap-key${spaceClass}"${style} title="${this.escapeHTML(title)}">${this.escapeHTML(label)}</div>`;
+      });
+      html += '</div>';
+    });
+    
+    this.elements.heatmap.innerHTML = html;
+  }
+  
+  collectKeyboardStats() {
+    // Fold shifted and upper-case characters onto their physical key
+    const keyStats = {};
+    
+    (this.report ? this.report.keys : []).forEach(stats => {
+      const key = this.shiftedKeys[stats.char] || stats.char.toLowerCase();
+      const entry = keyStats[key] || (keyStats[key] = { attempts: 0, misses: 0, totalMs: 0 });
+      entry.attempts += stats.attempts;
+      entry.misses += stats.misses;
+      entry.totalMs += stats.avgMs * stats.attempts;
+    });
+    
+    Object.values(keyStats).forEach(entry => {
+      entry.avgMs = entry.attempts > 0 ? entry.totalMs / entry.attempts : 0;
+    });
+    
+    return keyStats;
+  }
+  
+  getHeatValue(stats) {
+    return this.heatmapMetric === 'speed' ? stats.avgMs : stats.misses / stats.attempts;
+  }
+  
+  displayChar(value) {
+    if (value === ' ') return 'space';
+    if (value === '\n') return 'enter';
+    if (value === '\t') return 'tab';
+    return value;
+  }
+  
+  escapeHTML(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  getReport() {
+    return this.report;
+  }
+}
\ No newline at end of file
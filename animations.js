@@ -26,11 +26,21 @@ class AnimationManager {
       animationSpeed: 1
     };
     
+    // Completion bursts; a new personal best gets the bigger one
+    this.bursts = {
+      complete: { count: 50, spread: 200, speed: 10, maxSize: 8, life: 3000, boost: 2 },
+      record: { count: 160, spread: 400, speed: 18, maxSize: 12, life: 4500, boost: 3 }
+    };
+    
     // Animation state
     this.lastFrameTime = 0;
     this.targetFPS = 60;
     this.frameInterval = 1000 / this.targetFPS;
     
+    // Pre-test countdown
+    this.countdown = null;
+    this.countdownStep = 1000; // ms per number
+    
     // Asset loading
     this.assetsLoaded = false;
     this.sprites = {};
@@ -494,42 +504,129 @@ class AnimationManager {
     });
   }
   
-  addCompletionEffect() {
+  addCompletionEffect(options = {}) {
     // Create celebration particles
     const colors = ['#FFE800', '#FF2667', '#0080FF', '#00FF80', '#FF69B4'];
+    const burst = options.record ? this.bursts.record : this.bursts.complete;
     
-    for (let i = 0; i < 50; i++) {
+    for (let i = 0; i < burst.count; i++) {
       this.particles.push({
-        x: this.width / 2 + (Math.random() - 0.5) * 200,
-        y: this.height / 2 + (Math.random() - 0.5) * 200,
-        vx: (Math.random() - 0.5) * 10,
-        vy: (Math.random() - 0.5) * 10,
-        size: Math.random() * 6 + 2,
+        x: this.width / 2 + (Math.random() - 0.5) * burst.spread,
+        y: this.height / 2 + (Math.random() - 0.5) * burst.spread,
+        vx: (Math.random() - 0.5) * burst.speed,
+        vy: (Math.random() - 0.5) * burst.speed,
+        size: Math.random() * (burst.maxSize - 2) + 2,
         color: colors[Math.floor(Math.random() * colors.length)],
-        life: 3000,
-        maxLife: 3000,
+        life: burst.life,
+        maxLife: burst.life,
         alpha: 1
       });
     }
     
     // Make all Pac-Man characters move faster temporarily
+    const boost = burst.boost;
     this.pacmanCharacters.forEach(pacman => {
-      pacman.speed *= 2;
-      pacman.vx *= 2;
-      pacman.vy *= 2;
+      pacman.speed *= boost;
+      pacman.vx *= boost;
+      pacman.vy *= boost;
     });
     
     // Return to normal after celebration
     setTimeout(() => {
       this.pacmanCharacters.forEach(pacman => {
-        pacman.speed /= 2;
-        pacman.vx /= 2;
-        pacman.vy /= 2;
+        pacman.speed /= boost;
+        pacman.vx /= boost;
+        pacman.vy /= boost;
       });
-    }, 3000);
+    }, burst.life);
+  }
+  
+  showCountdown(overlay, options = {}) {
+    // Arcade-style 3-2-1-GO over the game screen; resolves false if cancelled
+    const from = options.from || 3;
+    const steps = [];
+    for (let i = from; i > 0; i--) {
+      steps.push(String(i));
+    }
+    steps.push('GO!');
+    
+    this.cancelCountdown();
+    
+    return new Promise(resolve => {
+      let index = 0;
+      
+      const showStep = () => {
+        if (index >= steps.length) {
+          this.finishCountdown(true);
+          return;
+        }
+        
+        const label = steps[index++];
+        overlay.textContent = label;
+        overlay.classList.add('active');
+        
+        // Restart the pop animation for every number
+        overlay.classList.remove('pop');
+        void overlay.offsetWidth;
+        overlay.classList.add('pop');
+        
+        this.addCountdownBurst(label === 'GO!');
+        if (options.onStep) {
+          options.onStep(label);
+        }
+        
+        this.countdown.timer = setTimeout(showStep, index === steps.length ? this.countdownStep / 2 : this.countdownStep);
+      };
+      
+      this.countdown = { overlay: overlay, resolve: resolve, timer: null };
+      showStep();
+    });
+  }
+  
+  finishCountdown(completed) {
+    if (!this.countdown) return;
+    
+    const { overlay, resolve, timer } = this.countdown;
+    this.countdown = null;
+    
+    clearTimeout(timer);
+    overlay.classList.remove('active', 'pop');
+    overlay.textContent = '';
+    resolve(completed);
+  }
+  
+  cancelCountdown() {
+    this.finishCountdown(false);
+  }
+  
+  isCountingDown() {
+    return this.countdown !== null;
+  }
+  
+  addCountdownBurst(isFinal) {
+    // Ring of dots around the centre of the screen, bigger for GO
+    const count = isFinal ? 32 : 16;
+    const speed = isFinal ? 6 : 3;
+    const color = isFinal ? '#00FF80' : '#FFE800';
+    
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * 2 * Math.PI;
+      this.particles.push({
+        x: this.width / 2,
+        y: this.height / 2,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        size: Math.random() * 3 + 2,
+        color: color,
+        life: 800,
+        maxLife: 800,
+        alpha: 1
+      });
+    }
   }
   
   cleanup() {
+    this.cancelCountdown();
     this.stop();
     console.log('Animation Manager cleaned up');
   }
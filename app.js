@@ -11,17 +11,54 @@ class PacManTypingApp {
       mode: 'words',
       language: 'javascript',
       time: 3,
+      lengthMode: 'time',
+      wordCount: 25,
+      charCount: 250,
+      errorMode: 'free',
+      startMode: 'immediate',
+      codeOptions: {
+        autoIndent: true,
+        tabMatchesSpaces: true,
+        autoPairBrackets: false
+      },
+      textOptions: {
+        capitalize: false,
+        punctuation: false,
+        numbers: false,
+        symbols: false
+      },
+      seed: '',
+      customSplit: 0,
       soundEnabled: true,
       musicEnabled: true
     };
     
+    // Saved settings are loaded over these defaults in init
+    this.settingsStore = new SettingsStore();
+    
     this.managers = {
       sound: null,
       animation: null,
-      typingTest: null
+      typingTest: null,
+      replay: null,
+      analytics: null,
+      customText: null,
+      contentPacks: null,
+      languages: null,
+      adaptive: null,
+      lessons: null,
+      history: null,
+      bests: null,
+      dataExport: null
     };
     
     this.elements = {};
+    this.replayRenderer = null;
+    this.historyChart = null;
+    this.speedChart = null;
+    this.historyEntries = []; // Loaded when the History screen opens
+    this.lastResult = null; // History entry for the results on screen, for export
+    this.activeLesson = null; // Stage id while a lesson drill is running
     this.isInitialized = false;
     
     this.init();
@@ -32,12 +69,18 @@ class PacManTypingApp {
       // Cache DOM elements
       this.cacheElements();
       
+      // Restore saved settings before the managers fill the selects
+      this.settings = this.settingsStore.load(this.settings);
+      
       // Initialize managers
       await this.initializeManagers();
       
       // Setup event listeners
       this.setupEventListeners();
       
+      // Show the restored settings in the controls
+      this.applySettings();
+      
       // Start loading sequence
       this.startLoadingSequence();
       
@@ -53,6 +96,8 @@ class PacManTypingApp {
     this.elements.homeScreen = document.getElementById('homeScreen');
     this.elements.gameScreen = document.getElementById('gameScreen');
     this.elements.resultsScreen = document.getElementById('resultsScreen');
+    this.elements.lessonsScreen = document.getElementById('lessonsScreen');
+    this.elements.historyScreen = document.getElementById('historyScreen');
     this.elements.pauseScreen = document.getElementById('pauseScreen');
     
     // Controls
@@ -60,7 +105,33 @@ class PacManTypingApp {
     this.elements.modeSelect = document.getElementById('modeSelect');
     this.elements.languageSelect = document.getElementById('languageSelect');
     this.elements.languageGroup = document.getElementById('languageGroup');
+    this.elements.codeOptionToggles = document.querySelectorAll('.code-options [data-option]');
+    this.elements.textOptionsGroup = document.getElementById('textOptionsGroup');
+    this.elements.textOptionToggles = document.querySelectorAll('.text-options [data-option]');
+    this.elements.adaptiveGroup = document.getElementById('adaptiveGroup');
+    this.elements.adaptiveStatus = document.getElementById('adaptiveStatus');
+    this.elements.adaptiveResetButton = document.getElementById('adaptiveResetButton');
+    this.elements.customTextGroup = document.getElementById('customTextGroup');
+    this.elements.customDropZone = document.getElementById('customDropZone');
+    this.elements.customTextInput = document.getElementById('customTextInput');
+    this.elements.customFileButton = document.getElementById('customFileButton');
+    this.elements.customFileInput = document.getElementById('customFileInput');
+    this.elements.customSplitSelect = document.getElementById('customSplitSelect');
+    this.elements.customTextStatus = document.getElementById('customTextStatus');
+    this.elements.lengthModeSelect = document.getElementById('lengthModeSelect');
+    this.elements.timeGroup = document.getElementById('timeGroup');
     this.elements.timeSelect = document.getElementById('timeSelect');
+    this.elements.wordCountGroup = document.getElementById('wordCountGroup');
+    this.elements.wordCountSelect = document.getElementById('wordCountSelect');
+    this.elements.charCountGroup = document.getElementById('charCountGroup');
+    this.elements.charCountSelect = document.getElementById('charCountSelect');
+    this.elements.errorModeSelect = document.getElementById('errorModeSelect');
+    this.elements.startModeSelect = document.getElementById('startModeSelect');
+    this.elements.seedInput = document.getElementById('seedInput');
+    this.elements.contentPackButton = document.getElementById('contentPackButton');
+    this.elements.contentPackInput = document.getElementById('contentPackInput');
+    this.elements.contentPackResetButton = document.getElementById('contentPackResetButton');
+    this.elements.contentPackStatus = document.getElementById('contentPackStatus');
     this.elements.soundToggle = document.getElementById('soundToggle');
     this.elements.musicToggle = document.getElementById('musicToggle');
     
@@ -74,20 +145,69 @@ class PacManTypingApp {
     this.elements.quitButton = document.getElementById('quitButton');
     this.elements.retryTestButton = document.getElementById('retryTestButton');
     this.elements.homeButton = document.getElementById('homeButton');
+    this.elements.lessonsButton = document.getElementById('lessonsButton');
+    this.elements.lessonsResetButton = document.getElementById('lessonsResetButton');
+    this.elements.lessonsHomeButton = document.getElementById('lessonsHomeButton');
+    this.elements.historyButton = document.getElementById('historyButton');
+    this.elements.historyClearButton = document.getElementById('historyClearButton');
+    this.elements.historyHomeButton = document.getElementById('historyHomeButton');
+    this.elements.historyCsvButton = document.getElementById('historyCsvButton');
+    this.elements.historyJsonButton = document.getElementById('historyJsonButton');
+    this.elements.historyImportButton = document.getElementById('historyImportButton');
+    this.elements.historyImportInput = document.getElementById('historyImportInput');
+    this.elements.resultCsvButton = document.getElementById('resultCsvButton');
+    this.elements.resultJsonButton = document.getElementById('resultJsonButton');
     
     // Game elements
     this.elements.wpmDisplay = document.getElementById('wpmDisplay');
+    this.elements.rawWpmDisplay = document.getElementById('rawWpmDisplay');
+    this.elements.netWpmDisplay = document.getElementById('netWpmDisplay');
+    this.elements.consistencyDisplay = document.getElementById('consistencyDisplay');
     this.elements.accuracyDisplay = document.getElementById('accuracyDisplay');
     this.elements.timeDisplay = document.getElementById('timeDisplay');
     this.elements.textDisplay = document.getElementById('textDisplay');
     this.elements.typingInput = document.getElementById('typingInput');
+    this.elements.countdownOverlay = document.getElementById('countdownOverlay');
     
     // Results elements
     this.elements.finalWPM = document.getElementById('finalWPM');
+    this.elements.finalRawWPM = document.getElementById('finalRawWPM');
+    this.elements.finalNetWPM = document.getElementById('finalNetWPM');
+    this.elements.finalConsistency = document.getElementById('finalConsistency');
+    this.elements.finalTime = document.getElementById('finalTime');
+    this.elements.finalTimeLabel = document.getElementById('finalTimeLabel');
+    this.elements.resultSeed = document.getElementById('resultSeed');
+    this.elements.resultTextOptions = document.getElementById('resultTextOptions');
+    this.elements.resultLesson = document.getElementById('resultLesson');
+    this.elements.resultBest = document.getElementById('resultBest');
     this.elements.finalAccuracy = document.getElementById('finalAccuracy');
     this.elements.charactersTyped = document.getElementById('charactersTyped');
     this.elements.errorsCount = document.getElementById('errorsCount');
     
+    // Speed chart elements
+    this.elements.speedChart = document.getElementById('speedChart');
+    this.elements.speedChartTooltip = document.getElementById('speedChartTooltip');
+    
+    // Snippet timing elements
+    this.elements.snippetPanel = document.getElementById('snippetPanel');
+    this.elements.snippetTable = document.getElementById('snippetTable');
+    
+    // History elements
+    this.elements.historyModeFilter = document.getElementById('historyModeFilter');
+    this.elements.historyDifficultyFilter = document.getElementById('historyDifficultyFilter');
+    this.elements.historyLanguageFilter = document.getElementById('historyLanguageFilter');
+    this.elements.historySummary = document.getElementById('historySummary');
+    this.elements.historyChart = document.getElementById('historyChart');
+    this.elements.historyTable = document.getElementById('historyTable');
+    this.elements.historyStatus = document.getElementById('historyStatus');
+    
+    // Replay elements
+    this.elements.replayDisplay = document.getElementById('replayDisplay');
+    this.elements.replayPlayButton = document.getElementById('replayPlayButton');
+    this.elements.replayRestartButton = document.getElementById('replayRestartButton');
+    this.elements.replaySpeedSelect = document.getElementById('replaySpeedSelect');
+    this.elements.replayProgress = document.getElementById('replayProgress');
+    
     // Canvas
     this.elements.backgroundCanvas = document.getElementById('backgroundCanvas');
   }
@@ -101,10 +221,79 @@ class PacManTypingApp {
     this.managers.animation = new AnimationManager(this.elements.backgroundCanvas);
     await this.managers.animation.init();
     
+    // Initialize Content Pack Manager and the Language Registry that merges in pack snippets
+    this.managers.contentPacks = new ContentPackManager();
+    this.managers.languages = new LanguageRegistry({
+      contentPacks: this.managers.contentPacks
+    });
+    this.managers.languages.init();
+    this.managers.contentPacks.init();
+    await this.loadContentPacksFromUrl();
+    
+    // Fill the selects once every pack is in, so a restored difficulty or language from a pack isn't
+    // replaced by the default while the packs are still loading; later pack changes refill them
+    this.populateContentSelects();
+    this.managers.contentPacks.onChange = () => {
+      this.populateContentSelects();
+    };
+    this.updateContentPackStatus();
+    
+    // Initialize Adaptive Practice from the stored typing profile
+    this.managers.adaptive = new AdaptivePractice();
+    this.managers.adaptive.init();
+    this.updateAdaptiveStatus();
+    
+    // Initialize Lesson Manager
+    this.managers.lessons = new LessonManager({
+      contentPacks: this.managers.contentPacks
+    });
+    this.managers.lessons.onStart = (stageId) => {
+      this.startLesson(stageId);
+    };
+    this.managers.lessons.init();
+    
     // Initialize Typing Test Manager
-    this.managers.typingTest = new TypingTestManager();
+    this.managers.typingTest = new TypingTestManager({
+      contentPacks: this.managers.contentPacks,
+      languages: this.managers.languages,
+      adaptive: this.managers.adaptive
+    });
     this.managers.typingTest.init();
     
+    // Initialize the results speed chart
+    this.speedChart = new LineChart(this.elements.speedChart, {
+      tooltip: this.elements.speedChartTooltip
+    });
+    
+    // Initialize Replay Player with its own text renderer
+    this.replayRenderer = new TextRenderer(this.elements.replayDisplay);
+    this.managers.replay = new ReplayPlayer();
+    this.managers.replay.onFrame = (typedText, position) => {
+      this.renderReplayFrame(typedText, position);
+    };
+    this.managers.replay.onStateChange = (state) => {
+      this.updateReplayControls(state);
+    };
+    
+    // Initialize Custom Text Source
+    this.managers.customText = new CustomTextSource();
+    
+    // Initialize Analytics Manager
+    this.managers.analytics = new AnalyticsManager();
+    this.managers.analytics.init();
+    
+    // Initialize History Store and its progress chart
+    this.managers.history = new HistoryStore();
+    await this.managers.history.init();
+    this.historyChart = new LineChart(this.elements.historyChart);
+    this.managers.dataExport = new DataExport({
+      history: this.managers.history
+    });
+    
+    // Initialize Personal Bests
+    this.managers.bests = new PersonalBests();
+    this.managers.bests.init();
+    
     this.isInitialized = true;
   }
   
@@ -113,18 +302,131 @@ class PacManTypingApp {
     this.elements.modeSelect.addEventListener('change', (e) => {
       this.settings.mode = e.target.value;
       this.toggleLanguageSelect();
+      this.toggleTextOptionsGroup();
+      this.toggleAdaptiveGroup();
+      this.toggleCustomTextPanel();
+      this.saveSettings();
     });
     
     this.elements.difficultySelect.addEventListener('change', (e) => {
       this.settings.difficulty = e.target.value;
+      this.saveSettings();
     });
     
     this.elements.languageSelect.addEventListener('change', (e) => {
       this.settings.language = e.target.value;
+      this.saveSettings();
+    });
+    
+    this.elements.codeOptionToggles.forEach(toggle => {
+      toggle.addEventListener('click', () => {
+        this.toggleCodeOption(toggle);
+      });
+    });
+    
+    this.elements.textOptionToggles.forEach(toggle => {
+      toggle.addEventListener('click', () => {
+        this.toggleTextOption(toggle);
+      });
+    });
+    
+    this.elements.lengthModeSelect.addEventListener('change', (e) => {
+      this.settings.lengthMode = e.target.value;
+      this.toggleLengthSelects();
+      this.saveSettings();
     });
     
     this.elements.timeSelect.addEventListener('change', (e) => {
       this.settings.time = parseInt(e.target.value);
+      this.saveSettings();
+    });
+    
+    this.elements.wordCountSelect.addEventListener('change', (e) => {
+      this.settings.wordCount = parseInt(e.target.value);
+      this.saveSettings();
+    });
+    
+    this.elements.charCountSelect.addEventListener('change', (e) => {
+      this.settings.charCount = parseInt(e.target.value);
+      this.saveSettings();
+    });
+    
+    this.elements.errorModeSelect.addEventListener('change', (e) => {
+      this.settings.errorMode = e.target.value;
+      this.saveSettings();
+    });
+    
+    this.elements.startModeSelect.addEventListener('change', (e) => {
+      this.settings.startMode = e.target.value;
+      this.saveSettings();
+    });
+    
+    this.elements.seedInput.addEventListener('input', (e) => {
+      this.settings.seed = e.target.value.trim();
+    });
+    
+    // Custom text controls
+    this.elements.customTextInput.addEventListener('input', (e) => {
+      this.managers.customText.setText(e.target.value);
+      this.updateCustomTextStatus();
+    });
+    
+    this.elements.customSplitSelect.addEventListener('change', (e) => {
+      this.settings.customSplit = parseInt(e.target.value);
+      this.managers.customText.setPartSize(this.settings.customSplit);
+      this.saveSettings();
+      this.updateCustomTextStatus();
+    });
+    
+    this.elements.customFileButton.addEventListener('click', () => {
+      this.elements.customFileInput.click();
+    });
+    
+    this.elements.customFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.importCustomTextFile(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+    
+    this.elements.customDropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.elements.customDropZone.classList.add('drag-over');
+    });
+    
+    this.elements.customDropZone.addEventListener('dragleave', () => {
+      this.elements.customDropZone.classList.remove('drag-over');
+    });
+    
+    this.elements.customDropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.elements.customDropZone.classList.remove('drag-over');
+      if (e.dataTransfer.files.length > 0) {
+        this.importCustomTextFile(e.dataTransfer.files[0]);
+      }
+    });
+    
+    // Content pack controls
+    this.elements.contentPackButton.addEventListener('click', () => {
+      this.elements.contentPackInput.click();
+    });
+    
+    this.elements.contentPackInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.importContentPack(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+    
+    this.elements.contentPackResetButton.addEventListener('click', () => {
+      this.managers.contentPacks.clearUserPacks();
+      this.updateContentPackStatus();
+    });
+    
+    // Adaptive practice controls
+    this.elements.adaptiveResetButton.addEventListener('click', () => {
+      this.managers.adaptive.reset();
+      this.updateAdaptiveStatus();
     });
     
     // Sound controls
@@ -173,6 +475,83 @@ class PacManTypingApp {
       this.goHome();
     });
     
+    // Lesson controls
+    this.elements.lessonsButton.addEventListener('click', () => {
+      this.showLessons();
+    });
+    
+    this.elements.lessonsResetButton.addEventListener('click', () => {
+      if (confirm('Reset all lesson progress?')) {
+        this.managers.lessons.reset();
+      }
+    });
+    
+    this.elements.lessonsHomeButton.addEventListener('click', () => {
+      this.switchScreen('home');
+    });
+    
+    // History controls
+    this.elements.historyButton.addEventListener('click', () => {
+      this.showHistory();
+    });
+    
+    [this.elements.historyModeFilter, this.elements.historyDifficultyFilter, this.elements.historyLanguageFilter].forEach(select => {
+      select.addEventListener('change', () => {
+        this.renderHistory();
+      });
+    });
+    
+    this.elements.historyClearButton.addEventListener('click', () => {
+      if (confirm('Delete every saved test from history?')) {
+        this.clearHistory();
+      }
+    });
+    
+    this.elements.historyHomeButton.addEventListener('click', () => {
+      this.switchScreen('home');
+    });
+    
+    // Export and import controls
+    this.elements.historyCsvButton.addEventListener('click', () => {
+      this.managers.dataExport.exportCSV('history', this.historyEntries);
+    });
+    
+    this.elements.historyJsonButton.addEventListener('click', () => {
+      this.managers.dataExport.exportJSON('history', this.historyEntries);
+    });
+    
+    this.elements.historyImportButton.addEventListener('click', () => {
+      this.elements.historyImportInput.click();
+    });
+    
+    this.elements.historyImportInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.importHistory(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+    
+    this.elements.resultCsvButton.addEventListener('click', () => {
+      this.managers.dataExport.exportCSV('result', [this.lastResult]);
+    });
+    
+    this.elements.resultJsonButton.addEventListener('click', () => {
+      this.managers.dataExport.exportJSON('result', [this.lastResult]);
+    });
+    
+    // Replay controls
+    this.elements.replayPlayButton.addEventListener('click', () => {
+      this.managers.replay.toggle();
+    });
+    
+    this.elements.replayRestartButton.addEventListener('click', () => {
+      this.managers.replay.restart();
+    });
+    
+    this.elements.replaySpeedSelect.addEventListener('change', (e) => {
+      this.managers.replay.setSpeed(parseFloat(e.target.value));
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       this.handleKeyboardShortcuts(e);
@@ -183,6 +562,15 @@ class PacManTypingApp {
       if (this.managers.animation) {
         this.managers.animation.handleResize();
       }
+      if (this.managers.typingTest) {
+        this.managers.typingTest.handleResize();
+      }
+      if (this.currentScreen === 'history') {
+        this.historyChart.render();
+      }
+      if (this.currentScreen === 'results') {
+        this.speedChart.render();
+      }
     });
   }
   
@@ -197,6 +585,46 @@ class PacManTypingApp {
     this.switchScreen('home');
   }
   
+  applySettings() {
+    // Selects filled by content packs are already set by populateContentSelects
+    this.elements.modeSelect.value = this.settings.mode;
+    this.elements.lengthModeSelect.value = this.settings.lengthMode;
+    this.elements.timeSelect.value = this.settings.time;
+    this.elements.wordCountSelect.value = this.settings.wordCount;
+    this.elements.charCountSelect.value = this.settings.charCount;
+    this.elements.errorModeSelect.value = this.settings.errorMode;
+    this.elements.startModeSelect.value = this.settings.startMode;
+    this.elements.customSplitSelect.value = this.settings.customSplit;
+    this.managers.customText.setPartSize(this.settings.customSplit);
+    
+    this.elements.codeOptionToggles.forEach(toggle => {
+      toggle.classList.toggle('active', this.settings.codeOptions[toggle.dataset.option]);
+    });
+    this.elements.textOptionToggles.forEach(toggle => {
+      toggle.classList.toggle('active', this.settings.textOptions[toggle.dataset.option]);
+    });
+    
+    this.elements.soundToggle.textContent = this.settings.soundEnabled ? 'Sound On' : 'Sound Off';
+    this.elements.soundToggle.classList.toggle('active', this.settings.soundEnabled);
+    this.elements.musicToggle.textContent = this.settings.musicEnabled ? 'Music On' : 'Music Off';
+    this.elements.musicToggle.classList.toggle('active', this.settings.musicEnabled);
+    this.managers.sound.setSoundEnabled(this.settings.soundEnabled);
+    
+    // Set the flag directly so a restored setting doesn't start the music before the user interacts
+    this.managers.sound.musicEnabled = this.settings.musicEnabled;
+    
+    this.toggleLanguageSelect();
+    this.toggleTextOptionsGroup();
+    this.toggleAdaptiveGroup();
+    this.toggleCustomTextPanel();
+    this.toggleLengthSelects();
+    this.updateCustomTextStatus();
+  }
+  
+  saveSettings() {
+    this.settingsStore.save(this.settings);
+  }
+  
   toggleLanguageSelect() {
     if (this.settings.mode === 'code') {
       this.elements.languageGroup.style.display = 'block';
@@ -205,11 +633,152 @@ class PacManTypingApp {
     }
   }
   
+  toggleTextOptionsGroup() {
+    // Text options only change generated words and sentences
+    const isWordMode = this.settings.mode === 'words' || this.settings.mode === 'adaptive';
+    this.elements.textOptionsGroup.style.display = isWordMode ? 'block' : 'none';
+  }
+  
+  toggleAdaptiveGroup() {
+    this.elements.adaptiveGroup.style.display = this.settings.mode === 'adaptive' ? 'block' : 'none';
+  }
+  
+  toggleCustomTextPanel() {
+    this.elements.customTextGroup.style.display = this.settings.mode === 'custom' ? 'block' : 'none';
+  }
+  
+  populateContentSelects() {
+    const packs = this.managers.contentPacks;
+    this.settings.difficulty = this.fillSelect(this.elements.difficultySelect, packs.getDifficulties(), this.settings.difficulty, 'normal');
+    this.settings.language = this.fillSelect(this.elements.languageSelect, this.managers.languages.getLanguages(), this.settings.language, 'javascript');
+  }
+  
+  fillSelect(select, items, selectedId, fallbackId) {
+    // Keep the current choice when it still exists, otherwise fall back to the default or first option
+    const hasItem = (id) => items.some(item => item.id === id);
+    let selected = selectedId;
+    if (!hasItem(selected)) {
+      selected = hasItem(fallbackId) ? fallbackId : (items[0] ? items[0].id : selectedId);
+    }
+    
+    select.innerHTML = '';
+    items.forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = item.label;
+      option.selected = item.id === selected;
+      select.appendChild(option);
+    });
+    
+    return selected;
+  }
+  
+  async loadContentPacksFromUrl() {
+    // Packs can be linked with ?pack=<url>, repeated for several packs
+    const urls = new URLSearchParams(window.location.search).getAll('pack');
+    
+    for (const url of urls) {
+      try {
+        await this.managers.contentPacks.loadFromUrl(url);
+      } catch (error) {
+        console.warn('Failed to load content pack:', error);
+        this.showError(error.message);
+      }
+    }
+  }
+  
+  async importContentPack(file) {
+    try {
+      const pack = await this.managers.contentPacks.loadFromFile(file);
+      this.updateContentPackStatus(`Loaded ${pack.name}`);
+    } catch (error) {
+      console.warn('Failed to import content pack:', error);
+      this.updateContentPackStatus('Pack rejected');
+      this.showError(error.message);
+    }
+  }
+  
+  updateAdaptiveStatus() {
+    const adaptive = this.managers.adaptive;
+    const tests = adaptive.profile.tests;
+    
+    if (!adaptive.hasData()) {
+      this.elements.adaptiveStatus.textContent = tests > 0 ? 'No weak keys found yet' : 'No typing data yet';
+      return;
+    }
+    
+    const keys = adaptive.getFocusKeys().join(' ');
+    this.elements.adaptiveStatus.textContent = `Focus: ${keys || 'slow key pairs'} (from ${tests} test${tests === 1 ? '' : 's'})`;
+  }
+  
+  updateContentPackStatus(message) {
+    const userPacks = this.managers.contentPacks.getUserPacks();
+    let status = 'Built-in pack only';
+    
+    if (userPacks.length > 0) {
+      status = `${userPacks.length} extra pack${userPacks.length === 1 ? '' : 's'}: ${userPacks.map(pack => pack.name).join(', ')}`;
+    }
+    
+    this.elements.contentPackStatus.textContent = message ? `${message} - ${status}` : status;
+  }
+  
+  async importCustomTextFile(file) {
+    try {
+      const text = await this.managers.customText.readFile(file);
+      this.managers.customText.setText(text);
+      
+      // Show the normalized text so the user sees exactly what they will type
+      this.elements.customTextInput.value = this.managers.customText.text;
+      this.updateCustomTextStatus(`Loaded ${file.name}`);
+    } catch (error) {
+      console.warn('Failed to import custom text:', error);
+      this.updateCustomTextStatus(error.message);
+    }
+  }
+  
+  updateCustomTextStatus(message) {
+    const source = this.managers.customText;
+    let status = 'Paste text or drop a file';
+    
+    if (source.hasText()) {
+      const words = (source.text.match(/\S+/g) || []).length;
+      const part = source.getPartInfo();
+      status = `${words} words - test ${part.index} of ${part.total}`;
+    }
+    
+    this.elements.customTextStatus.textContent = message ? `${message} - ${status}` : status;
+  }
+  
+  toggleLengthSelects() {
+    const lengthMode = this.settings.lengthMode;
+    this.elements.timeGroup.style.display = lengthMode === 'time' ? 'block' : 'none';
+    this.elements.wordCountGroup.style.display = lengthMode === 'words' ? 'block' : 'none';
+    this.elements.charCountGroup.style.display = lengthMode === 'chars' ? 'block' : 'none';
+  }
+  
   toggleSound() {
     this.settings.soundEnabled = !this.settings.soundEnabled;
     this.elements.soundToggle.textContent = this.settings.soundEnabled ? 'Sound On' : 'Sound Off';
     this.elements.soundToggle.classList.toggle('active', this.settings.soundEnabled);
     this.managers.sound.setSoundEnabled(this.settings.soundEnabled);
+
+    this.saveSettings();
+  }
+  
+  toggleCodeOption(toggle) {
+    const option = toggle.dataset.option;
+    this.settings.codeOptions[option] = !this.settings.codeOptions[option];
+    toggle.classList.toggle('active', this.settings.codeOptions[option]);
+
+    this.saveSettings();
+  }
+  
+  toggleTextOption(toggle) {
+    const option = toggle.dataset.option;
+    this.settings.textOptions[option] = !this.settings.textOptions[option];
+    toggle.classList.toggle('active', this.settings.textOptions[option]);
+
+    this.saveSettings();
   }
   
   toggleMusic() {
@@ -217,19 +786,271 @@ class PacManTypingApp {
     this.elements.musicToggle.textContent = this.settings.musicEnabled ? 'Music On' : 'Music Off';
     this.elements.musicToggle.classList.toggle('active', this.settings.musicEnabled);
     this.managers.sound.setMusicEnabled(this.settings.musicEnabled);
+
+    this.saveSettings();
+  }
+  
+  showLessons() {
+    this.activeLesson = null;
+    this.managers.lessons.render();
+    this.switchScreen('lessons');
+  }
+  
+  startLesson(stageId) {
+    this.activeLesson = stageId;
+    this.startGame();
+  }
+  
+  getLessonConfig() {
+    // A fresh drill every attempt, typed to the end with the time counting up
+    const drill = this.managers.lessons.generateDrill(this.activeLesson);
+    
+    return {
+      mode: 'lesson',
+      customText: drill,
+      lengthMode: 'chars',
+      charCount: drill.length,
+      seed: ''
+    };
+  }
+  
+  async saveToHistory(entry) {
+    const history = this.managers.history;
+    if (!history.isAvailable()) return;
+    
+    try {
+      await history.add(entry);
+    } catch (error) {
+      console.warn('Failed to save test to history:', error);
+    }
+  }
+  
+  async showHistory() {
+    this.historyEntries = [];
+    
+    if (this.managers.history.isAvailable()) {
+      try {
+        this.historyEntries = await this.managers.history.getAll();
+      } catch (error) {
+        console.warn('Failed to load test history:', error);
+      }
+    }
+    
+    this.populateHistoryFilters();
+    this.updateHistoryStatus();
+    
+    // The chart needs the screen visible to measure its canvas
+    this.switchScreen('history');
+    this.renderHistory();
+  }
+  
+  async clearHistory() {
+    try {
+      await this.managers.history.clear();
+    } catch (error) {
+      console.warn('Failed to clear test history:', error);
+      this.showError(error.message);
+      return;
+    }
+    
+    this.historyEntries = [];
+    this.populateHistoryFilters();
+    this.updateHistoryStatus();
+    this.renderHistory();
+  }
+  
+  async importHistory(file) {
+    try {
+      const result = await this.managers.dataExport.importBackup(file);
+      this.historyEntries = await this.managers.history.getAll();
+      
+      const skipped = [];
+      if (result.duplicates > 0) skipped.push(`${result.duplicates} already in history`);
+      if (result.invalid > 0) skipped.push(`${result.invalid} invalid`);
+      this.updateHistoryStatus(`Imported ${result.added} test${result.added === 1 ? '' : 's'}${skipped.length > 0 ? ` (skipped ${skipped.join(', ')})` : ''}`);
+    } catch (error) {
+      console.warn('Failed to import history:', error);
+      this.updateHistoryStatus('Import rejected');
+      this.showError(error.message);
+      return;
+    }
+    
+    this.populateHistoryFilters();
+    this.renderHistory();
+  }
+  
+  updateHistoryStatus(message) {
+    this.elements.historyStatus.textContent = message || '';
+    
+    // Nothing to export or import into without a history
+    const available = this.managers.history.isAvailable();
+    this.elements.historyImportButton.disabled = !available;
+    this.elements.historyCsvButton.disabled = this.historyEntries.length === 0;
+    this.elements.historyJsonButton.disabled = this.historyEntries.length === 0;
+  }
+  
+  getHistoryLabels() {
+    // Display names for the values a history filter can hold
+    const labels = { words: 'Standard', adaptive: 'Adaptive', code: 'Coders', custom: 'Custom', lesson: 'Lesson' };
+    this.managers.contentPacks.getDifficulties().forEach(item => {
+      labels[item.id] = item.label;
+    });
+    this.managers.languages.getLanguages().forEach(item => {
+      labels[item.id] = item.label;
+    });
+    
+    return labels;
+  }
+  
+  populateHistoryFilters() {
+    // Only values that appear in the history are offered
+    const history = this.managers.history;
+    const labels = this.getHistoryLabels();
+    const filters = [
+      { select: this.elements.historyModeFilter, key: 'mode', label: 'All Modes' },
+      { select: this.elements.historyDifficultyFilter, key: 'difficulty', label: 'All Difficulties' },
+      { select: this.elements.historyLanguageFilter, key: 'language', label: 'All Languages' }
+    ];
+    
+    filters.forEach(({ select, key, label }) => {
+      const items = history.getFilterValues(this.historyEntries, key).map(id => ({ id: id, label: labels[id] || id }));
+      this.fillSelect(select, [{ id: 'all', label: label }, ...items], select.value || 'all', 'all');
+    });
+    
+    // Languages only apply to code tests
+    this.elements.historyLanguageFilter.style.display = this.elements.historyLanguageFilter.options.length > 1 ? 'block' : 'none';
+  }
+  
+  renderHistory() {
+    const entries = this.managers.history.filter(this.historyEntries, {
+      mode: this.elements.historyModeFilter.value,
+      difficulty: this.elements.historyDifficultyFilter.value,
+      language: this.elements.historyLanguageFilter.value
+    });
+    
+    this.historyChart.setData({
+      labels: entries.map(entry => this.formatDate(entry.timestamp)),
+      series: [
+        { label: 'WPM', color: '#FFE800', values: entries.map(entry => entry.stats.wpm), axis: 'left' },
+        { label: 'Accuracy', color: '#00FFFF', values: entries.map(entry => entry.stats.accuracy), axis: 'right' }
+      ],
+      axes: {
+        left: {},
+        right: { min: 0, max: 100, format: (value) => Math.round(value) + '%' }
+      }
+    });
+    
+    this.elements.historySummary.textContent = this.describeHistory(entries);
+    this.renderHistoryTable(entries);
+  }
+  
+  describeHistory(entries) {
+    if (!this.managers.history.isAvailable()) {
+      return 'History is not available in this browser';
+    }
+    if (entries.length === 0) {
+      return 'No tests saved yet';
+    }
+    
+    const average = (list, key) => list.reduce((sum, entry) => sum + entry.stats[key], 0) / list.length;
+    const best = Math.max(...entries.map(entry => entry.stats.wpm));
+    let summary = `${entries.length} test${entries.length === 1 ? '' : 's'} - average ${Math.round(average(entries, 'wpm'))} WPM at ${Math.round(average(entries, 'accuracy'))}% - best ${Math.round(best)} WPM`;
+    
+    // Week over week, for tracking improvement
+    const week = 7 * 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const thisWeek = entries.filter(entry => now - entry.timestamp < week);
+    const lastWeek = entries.filter(entry => now - entry.timestamp >= week && now - entry.timestamp < week * 2);
+    if (thisWeek.length > 0 && lastWeek.length > 0) {
+      const change = Math.round(average(thisWeek, 'wpm') - average(lastWeek, 'wpm'));
+      summary += ` - this week ${change >= 0 ? '+' : ''}${change} WPM vs last week`;
+    }
+    
+    return summary;
+  }
+  
+  renderHistoryTable(entries) {
+    const table = this.elements.historyTable;
+    const labels = this.getHistoryLabels();
+    table.textContent = '';
+    
+    const header = table.createTHead().insertRow();
+    ['Date', 'Mode', 'Difficulty', 'WPM', 'Accuracy', 'Time'].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+    
+    const body = table.createTBody();
+    if (entries.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 6;
+      cell.className = 'analytics-empty';
+      cell.textContent = 'No tests to show';
+      return;
+    }
+    
+    // Newest first; the chart covers the rest
+    entries.slice(-20).reverse().forEach(entry => {
+      const { config, stats } = entry;
+      const mode = config.language ? `${labels[config.mode] || config.mode} (${labels[config.language] || config.language})` : (labels[config.mode] || config.mode);
+      const row = body.insertRow();
+      
+      [
+        this.formatDate(entry.timestamp, true),
+        mode,
+        labels[config.difficulty] || config.difficulty,
+        Math.round(stats.wpm),
+        Math.round(stats.accuracy) + '%',
+        this.formatTime(Math.round(stats.timeElapsed))
+      ].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+  }
+  
+  formatDate(timestamp, withTime = false) {
+    const date = new Date(timestamp);
+    const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    return withTime ? `${day} ${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}` : day;
+  }
+  
+  leaveGame() {
+    // Lessons return to the stage list, everything else to the home screen
+    if (this.activeLesson) {
+      this.showLessons();
+    } else {
+      this.switchScreen('home');
+    }
   }
   
   async startGame() {
+    if (!this.activeLesson && this.settings.mode === 'custom' && !this.managers.customText.hasText()) {
+      this.showError('Paste some text or drop a file to use Custom mode.');
+      return;
+    }
+    
     try {
-      // Play start sound
-      this.managers.sound.playSound('start');
+      // The countdown plays the start sound when it reaches GO
+      if (this.settings.startMode !== 'countdown') {
+        this.managers.sound.playSound('start');
+      }
       
       // Configure typing test
       const config = {
         difficulty: this.settings.difficulty,
         mode: this.settings.mode,
         language: this.settings.language,
-        time: this.settings.time
+        time: this.settings.time,
+        lengthMode: this.settings.lengthMode,
+        wordCount: this.settings.wordCount,
+        charCount: this.settings.charCount,
+        errorMode: this.settings.errorMode,
+        seed: this.settings.seed,
+        codeOptions: { ...this.settings.codeOptions },
+        textOptions: { ...this.settings.textOptions },
+        customText: this.managers.customText.getCurrentPart(),
+        ...(this.activeLesson ? this.getLessonConfig() : {})
       };
       
       // Initialize typing test
@@ -256,8 +1077,14 @@ class PacManTypingApp {
       // Switch to game screen
       this.switchScreen('game');
       
-      // Start the test
-      this.managers.typingTest.start();
+      // Start the test now, on the first keystroke or after a countdown
+      if (this.settings.startMode === 'first-key') {
+        this.managers.typingTest.arm();
+      } else if (this.settings.startMode === 'countdown') {
+        if (!(await this.runCountdown())) return;
+      } else {
+        this.managers.typingTest.start();
+      }
       
       // Focus typing input
       setTimeout(() => {
@@ -270,7 +1097,32 @@ class PacManTypingApp {
     }
   }
   
+  async runCountdown() {
+    const input = this.elements.typingInput;
+    input.disabled = true;
+    
+    const completed = await this.managers.animation.showCountdown(this.elements.countdownOverlay, {
+      onStep: (label) => {
+        if (label === 'GO!') {
+          this.managers.sound.playSound('start');
+        }
+      }
+    });
+    
+    // Leaving the game screen cancels the countdown
+    if (!completed || this.currentScreen !== 'game') {
+      return false;
+    }
+    
+    input.disabled = false;
+    this.managers.typingTest.start();
+    return true;
+  }
+  
   pauseGame() {
+    // Nothing to pause until the countdown is over
+    if (this.managers.animation.isCountingDown()) return;
+    
     this.managers.typingTest.pause();
     this.switchScreen('pause');
   }
@@ -294,53 +1146,234 @@ class PacManTypingApp {
   }
   
   exitGame() {
+    this.managers.animation.cancelCountdown();
     this.managers.typingTest.stop();
-    this.switchScreen('home');
+    this.leaveGame();
   }
   
   quitGame() {
+    this.managers.animation.cancelCountdown();
     this.managers.typingTest.stop();
-    this.switchScreen('home');
+    this.leaveGame();
   }
   
   retryFromResults() {
+    this.managers.replay.stop();
     this.managers.typingTest.reset();
     this.startGame();
   }
   
   goHome() {
+    this.managers.replay.stop();
     this.managers.typingTest.stop();
-    this.switchScreen('home');
+    
+    // A finished custom text part moves on to the next one
+    this.managers.customText.advanceIfCompleted();
+    this.updateCustomTextStatus();
+    
+    this.leaveGame();
   }
   
   completeGame(results) {
-    // Play completion sound
-    this.managers.sound.playSound('complete');
+    if (!this.activeLesson && this.settings.mode === 'custom') {
+      this.managers.customText.markCompleted();
+    }
+    
+    // Lesson attempts count toward the stage's progress
+    const lessonAttempt = this.activeLesson ? this.managers.lessons.recordAttempt(this.activeLesson, results) : null;
+    this.updateLessonResult(lessonAttempt);
+    
+    // Compare with the best for this setup; lessons track their bests per stage instead
+    const best = this.activeLesson ? null : this.managers.bests.record(this.managers.typingTest.config, results);
+    const isRecord = Boolean(best && best.isRecord && !best.isFirst);
+    this.updateBestResult(best);
+    
+    // Play completion sound, or a fanfare for a new personal best
+    this.managers.sound.playSound(isRecord ? 'record' : 'complete');
     
     // Add completion effect to animations
-    this.managers.animation.addCompletionEffect();
+    this.managers.animation.addCompletionEffect({ record: isRecord });
     
     // Update results display
     this.updateResultsDisplay(results);
     
+    // Break the run down per word, key and bigram
+    const recording = this.managers.typingTest.getRecording();
+    const report = this.managers.analytics.analyze(recording.text, recording.keystrokes);
+    this.managers.analytics.render(report);
+    
+    // Every finished test sharpens the adaptive weighting for the next one
+    this.managers.adaptive.update(report);
+    this.updateAdaptiveStatus();
+    
+    // Keep the run for the History screen and for export
+    const config = { ...this.managers.typingTest.config, lesson: this.activeLesson };
+    this.lastResult = this.managers.history.createEntry(config, results);
+    this.saveToHistory(this.lastResult);
+    
+    // Load the finished run into the replay player
+    this.managers.replay.setSpeed(parseFloat(this.elements.replaySpeedSelect.value));
+    this.managers.replay.load(recording);
+    this.updateReplayControls(this.managers.replay.getState());
+    
     // Switch to results screen
     this.switchScreen('results');
+    
+    // The chart needs the screen visible to measure its canvas
+    this.renderSpeedChart(results.samples || []);
   }
   
   updateGameMetrics(stats) {
     this.elements.wpmDisplay.textContent = Math.round(stats.wpm) || 0;
+    this.elements.rawWpmDisplay.textContent = Math.round(stats.rawWpm) || 0;
+    this.elements.netWpmDisplay.textContent = Math.round(stats.netWpm) || 0;
+    this.elements.consistencyDisplay.textContent = Math.round(stats.consistency) + '%';
     this.elements.accuracyDisplay.textContent = Math.round(stats.accuracy) + '%';
-    this.elements.timeDisplay.textContent = this.formatTime(stats.timeRemaining);
-    
-    // Update text display
-    this.elements.textDisplay.innerHTML = stats.formattedText;
+    this.elements.timeDisplay.textContent = this.formatTime(this.getDisplayTime(stats));
   }
   
   updateResultsDisplay(results) {
     this.elements.finalWPM.textContent = Math.round(results.wpm) || 0;
+    this.elements.finalRawWPM.textContent = Math.round(results.rawWpm) || 0;
+    this.elements.finalNetWPM.textContent = Math.round(results.netWpm) || 0;
+    this.elements.finalConsistency.textContent = Math.round(results.consistency) + '%';
     this.elements.finalAccuracy.textContent = Math.round(results.accuracy) + '%';
     this.elements.charactersTyped.textContent = results.charactersTyped || 0;
     this.elements.errorsCount.textContent = results.errors || 0;
+    
+    // Timed tests report what was left on the clock, fixed-length tests how long they took
+    this.elements.finalTimeLabel.textContent = results.lengthMode === 'time' ? 'Time Left' : 'Time Taken';
+    this.elements.finalTime.textContent = this.formatTime(this.getDisplayTime(results));
+    this.elements.resultSeed.textContent = results.seed;
+    this.elements.resultTextOptions.textContent = this.describeTextOptions(results.textOptions, results.appliedTextOptions);
+    
+    this.renderSnippetTimes(results.snippets || []);
+  }
+  
+  updateLessonResult(attempt) {
+    const element = this.elements.resultLesson;
+    element.style.display = attempt ? 'block' : 'none';
+    if (!attempt) return;
+    
+    const { stage, passed, unlocked } = attempt;
+    let message = `${stage.title}: not yet - reach ${stage.pass.wpm} WPM at ${stage.pass.accuracy}% accuracy to pass`;
+    if (passed) {
+      message = unlocked ? `${stage.title} passed! ${unlocked.title} is unlocked` : `${stage.title} passed!`;
+    }
+    
+    element.textContent = message;
+    element.classList.toggle('passed', passed);
+    element.classList.toggle('failed', !passed);
+  }
+  
+  renderSpeedChart(samples) {
+    // Errors get their own axis, in steps that divide evenly over the grid lines
+    const gridLines = this.speedChart.config.gridLines;
+    const maxErrors = Math.max(0, ...samples.map(sample => sample.errors));
+    
+    this.speedChart.setData({
+      labels: samples.map(sample => `${sample.second}s`),
+      series: [
+        { label: 'Raw', color: '#888888', values: samples.map(sample => sample.raw), axis: 'left' },
+        { label: 'WPM', color: '#FFE800', values: samples.map(sample => sample.wpm), axis: 'left' },
+        { label: 'Errors', color: '#FF0000', values: samples.map(sample => sample.errors), axis: 'right', style: 'markers' }
+      ],
+      axes: {
+        left: {},
+        right: { min: 0, max: Math.max(gridLines, Math.ceil(maxErrors / gridLines) * gridLines) }
+      },
+      tooltip: (index) => {
+        const sample = samples[index];
+        const errors = sample.errors > 0 ? `\n${sample.errors} error${sample.errors === 1 ? '' : 's'}` : '';
+        return `Second ${sample.second}\nWPM ${Math.round(sample.wpm)}\nRaw ${Math.round(sample.raw)}${errors}`;
+      }
+    });
+  }
+  
+  updateBestResult(best) {
+    const element = this.elements.resultBest;
+    element.style.display = best ? 'block' : 'none';
+    if (!best) return;
+    
+    const wpm = Math.round(best.best.wpm);
+    const delta = best.delta.toFixed(1);
+    let message = `Personal best: ${wpm} WPM (${delta} WPM)`;
+    if (best.isFirst) {
+      message = `First result for this setup - ${wpm} WPM is your personal best to beat`;
+    } else if (best.isRecord) {
+      message = `New personal best! ${wpm} WPM (+${delta} over ${Math.round(best.previous.wpm)})`;
+    }
+    
+    element.textContent = message;
+    element.classList.toggle('record', best.isRecord && !best.isFirst);
+  }
+  
+  describeTextOptions(textOptions, applied) {
+    // Runs with different text options aren't comparable, so the results say which were on,
+    // and flag any the passage happened to end before using
+    const labels = { capitalize: 'Capitals', punctuation: 'Punctuation', numbers: 'Numbers', symbols: 'Symbols' };
+    const enabled = Object.keys(labels).filter(option => textOptions && textOptions[option]);
+    const describe = (option) => (applied && !applied[option] ? `${labels[option]} (none in text)` : labels[option]);
+    
+    return enabled.length > 0 ? enabled.map(describe).join(', ') : 'Plain';
+  }
+  
+  renderSnippetTimes(snippets) {
+    // Only code tests chain snippets
+    this.elements.snippetPanel.style.display = snippets.length > 0 ? 'block' : 'none';
+    
+    const table = this.elements.snippetTable;
+    table.textContent = '';
+    if (snippets.length === 0) return;
+    
+    const header = table.createTHead().insertRow();
+    ['#', 'Snippet', 'Chars', 'Time', 'WPM'].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+    
+    const body = table.createTBody();
+    snippets.forEach(snippet => {
+      const preview = snippet.preview.length > 40 ? `${snippet.preview.substring(0, 39)}\u2026` : snippet.preview;
+      const row = body.insertRow();
+      if (!snippet.completed) {
+        row.className = 'snippet-partial';
+      }
+      
+      [
+        snippet.index + 1,
+        snippet.completed ? preview : `${preview} (unfinished)`,
+        snippet.chars,
+        `${(snippet.time / 1000).toFixed(1)}s`,
+        Math.round(snippet.wpm)
+      ].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+  }
+  
+  renderReplayFrame(typedText, position) {
+    const display = this.elements.replayDisplay;
+    this.replayRenderer.render(this.managers.replay.getText(), typedText, position, 0, this.managers.replay.getTokens());
+    
+    // Keep the replay cursor in view
+    const current = this.replayRenderer.getCursorElement();
+    if (current) {
+      display.scrollTop = Math.max(0, current.offsetTop - display.clientHeight / 2);
+    }
+    
+    this.elements.replayProgress.style.width = this.managers.replay.getState().progress + '%';
+  }
+  
+  updateReplayControls(state) {
+    this.elements.replayPlayButton.textContent = state.isPlaying ? 'Pause' : 'Play';
+    this.elements.replayProgress.style.width = state.progress + '%';
+  }
+  
+  getDisplayTime(stats) {
+    // Word and character tests count up instead of down
+    return stats.lengthMode === 'time' ? stats.timeRemaining : Math.floor(stats.timeElapsed);
   }
   
   formatTime(seconds) {
@@ -372,6 +1405,12 @@ class PacManTypingApp {
       case 'results':
         targetScreen = this.elements.resultsScreen;
         break;
+      case 'lessons':
+        targetScreen = this.elements.lessonsScreen;
+        break;
+      case 'history':
+        targetScreen = this.elements.historyScreen;
+        break;
       case 'pause':
         targetScreen = this.elements.pauseScreen;
         break;
@@ -388,8 +1427,8 @@ class PacManTypingApp {
   }
   
   handleKeyboardShortcuts(e) {
-    // Only handle shortcuts when not typing
-    if (e.target === this.elements.typingInput) {
+    // Only handle shortcuts when not typing; form fields (custom text, seed) need their own keys, Enter included
+    if (e.target === this.elements.typingInput || (e.target.closest && e.target.closest('textarea, input, select'))) {
       return;
     }
     
@@ -399,6 +1438,8 @@ class PacManTypingApp {
           this.pauseGame();
         } else if (this.currentScreen === 'pause') {
           this.resumeGame();
+        } else if (this.currentScreen === 'lessons' || this.currentScreen === 'history') {
+          this.switchScreen('home');
         }
         break;
       case 'Enter':
@@ -0,0 +1,323 @@
+/**
+ * Built-in Languages for Pac-Man Typing Test
+ * Snippets, syntax rules and indentation for every language shipped with the game.
+ * Content packs can add snippets to these languages or bring new ones.
+ */
+
+const BUILT_IN_LANGUAGES = [
+  {
+    id: 'javascript',
+    label: 'JavaScript',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+        'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+        'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+        'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['`', '"', '\'']
+    },
+    snippets: [
+      "function calculateWPM(chars, time) {\n  return (chars / 5) / (time / 60);\n}",
+      "const pacman = { x: 0, y: 0, direction: 'right' };",
+      "for (let i = 0; i < 10; i++) {\n  console.log(`Number: ${i}`);\n}",
+      "const canvas = document.getElementById('gameCanvas');\nconst ctx = canvas.getContext('2d');",
+      "setTimeout(() => {\n  console.log('Game started!');\n}, 1000);"
+    ]
+  },
+  {
+    id: 'typescript',
+    label: 'TypeScript',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'abstract', 'any', 'as', 'async', 'await', 'boolean', 'break', 'case', 'catch', 'class', 'const',
+        'continue', 'declare', 'default', 'else', 'enum', 'export', 'extends', 'false', 'for', 'from',
+        'function', 'if', 'implements', 'import', 'in', 'interface', 'keyof', 'let', 'never', 'new', 'null',
+        'number', 'private', 'protected', 'public', 'readonly', 'return', 'string', 'this', 'throw', 'true',
+        'try', 'type', 'undefined', 'unknown', 'void', 'while'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['`', '"', '\'']
+    },
+    snippets: [
+      "interface Ghost {\n  name: string;\n  color: string;\n  speed: number;\n}",
+      "type Direction = 'up' | 'down' | 'left' | 'right';",
+      "function move(pacman: Pacman, direction: Direction): Pacman {\n  return { ...pacman, direction };\n}",
+      "const scores: Map<string, number> = new Map();\nscores.set('player1', 3600);",
+      "export async function loadLevel(id: number): Promise<Level> {\n  const response = await fetch(`/levels/${id}.json`);\n  return response.json() as Promise<Level>;\n}"
+    ]
+  },
+  {
+    id: 'python',
+    label: 'Python',
+    indent: { unit: 'spaces', size: 4 },
+    syntax: {
+      keywords: [
+        'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+        'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+        'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'try', 'while',
+        'with', 'yield'
+      ],
+      lineComment: '#',
+      strings: ['"""', '\'\'\'', '"', '\'']
+    },
+    snippets: [
+      "def calculate_wpm(chars, time):\n    return (chars / 5) / (time / 60)",
+      "for i in range(10):\n    print(f'Number: {i}')",
+      "class PacMan:\n    def __init__(self, x, y):\n        self.x = x\n        self.y = y",
+      "import pygame\nfrom typing import List, Tuple",
+      "result = [x**2 for x in range(5) if x % 2 == 0]"
+    ]
+  },
+  {
+    id: 'cpp',
+    label: 'C++',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'constexpr', 'continue',
+        'default', 'delete', 'do', 'double', 'else', 'enum', 'false', 'float', 'for', 'if', 'include',
+        'int', 'long', 'namespace', 'new', 'nullptr', 'private', 'protected', 'public', 'return', 'short',
+        'signed', 'sizeof', 'static', 'std', 'struct', 'switch', 'template', 'this', 'throw', 'true', 'try',
+        'typename', 'unsigned', 'using', 'virtual', 'void', 'while'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"', '\''],
+      directive: '#' // #include, #define ...
+    },
+    snippets: [
+      "#include <iostream>\n#include <vector>\nusing namespace std;",
+      "class PacMan {\nprivate:\n  int x, y;\npublic:\n  PacMan(int startX, int startY);\n};",
+      "for (int i = 0; i < 10; ++i) {\n  cout << \"Number: \" << i << endl;\n}",
+      "vector<int> scores = {100, 200, 300};\nsort(scores.begin(), scores.end());",
+      "auto lambda = [](int a, int b) { return a + b; };"
+    ]
+  },
+  {
+    id: 'csharp',
+    label: 'C#',
+    indent: { unit: 'spaces', size: 4 },
+    syntax: {
+      keywords: [
+        'abstract', 'async', 'await', 'bool', 'break', 'case', 'catch', 'class', 'const', 'continue',
+        'decimal', 'default', 'double', 'else', 'enum', 'false', 'finally', 'float', 'for', 'foreach',
+        'get', 'if', 'in', 'int', 'interface', 'internal', 'namespace', 'new', 'null', 'out', 'override',
+        'private', 'protected', 'public', 'readonly', 'record', 'return', 'set', 'static', 'string',
+        'struct', 'switch', 'this', 'throw', 'true', 'try', 'using', 'var', 'virtual', 'void', 'while'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"', '\''],
+      directive: '#' // #region, #if ...
+    },
+    snippets: [
+      "public class Ghost\n{\n    public string Name { get; set; }\n    public int Speed { get; private set; }\n}",
+      "var highScores = new List<int> { 3600, 2400, 1200 };\nhighScores.Sort();",
+      "foreach (var ghost in ghosts)\n{\n    Console.WriteLine($\"{ghost.Name} is chasing\");\n}",
+      "public async Task<Level> LoadLevelAsync(int id)\n{\n    var json = await File.ReadAllTextAsync($\"levels/{id}.json\");\n    return JsonSerializer.Deserialize<Level>(json);\n}",
+      "public record Score(string Player, int Points);"
+    ]
+  },
+  {
+    id: 'java',
+    label: 'Java',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue', 'default',
+        'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'if',
+        'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'new', 'null', 'package',
+        'private', 'protected', 'public', 'return', 'short', 'static', 'super', 'switch', 'this', 'throw',
+        'throws', 'true', 'try', 'var', 'void', 'while'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"', '\'']
+    },
+    snippets: [
+      "public class PacMan {\n  private int x, y;\n  public PacMan(int x, int y) {\n    this.x = x; this.y = y;\n  }\n}",
+      "List<Integer> scores = new ArrayList<>();\nscores.add(100);",
+      "for (int i = 0; i < 10; i++) {\n  System.out.println(\"Number: \" + i);\n}",
+      "Map<String, Integer> gameStats = new HashMap<>();",
+      "try {\n  // Game logic here\n} catch (Exception e) {\n  e.printStackTrace();\n}"
+    ]
+  },
+  {
+    id: 'kotlin',
+    label: 'Kotlin',
+    indent: { unit: 'spaces', size: 4 },
+    syntax: {
+      keywords: [
+        'as', 'break', 'class', 'companion', 'const', 'continue', 'data', 'do', 'else', 'enum', 'false',
+        'for', 'fun', 'if', 'import', 'in', 'interface', 'is', 'lateinit', 'null', 'object', 'open',
+        'override', 'package', 'private', 'return', 'sealed', 'super', 'suspend', 'this', 'throw', 'true',
+        'try', 'val', 'var', 'when', 'while'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"""', '"', '\'']
+    },
+    snippets: [
+      "data class Ghost(val name: String, val color: String, var speed: Int = 1)",
+      "fun calculateWpm(chars: Int, seconds: Double): Double {\n    return (chars / 5.0) / (seconds / 60.0)\n}",
+      "val scores = mutableListOf(3600, 2400, 1200)\nscores.sortDescending()",
+      "when (direction) {\n    Direction.UP -> y--\n    Direction.DOWN -> y++\n    else -> println(\"Sideways\")\n}",
+      "ghosts.filter { it.speed > 2 }\n    .forEach { println(\"${it.name} is fast\") }"
+    ]
+  },
+  {
+    id: 'go',
+    label: 'Go',
+    indent: { unit: 'tabs', size: 1 },
+    syntax: {
+      keywords: [
+        'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'false', 'for', 'func',
+        'go', 'if', 'import', 'int', 'interface', 'map', 'nil', 'package', 'range', 'return', 'select',
+        'string', 'struct', 'switch', 'true', 'type', 'var'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['`', '"', '\'']
+    },
+    snippets: [
+      "package main\n\nimport \"fmt\"\n\nfunc main() {\n\tfmt.Println(\"Game started!\")\n}",
+      "type Ghost struct {\n\tName  string\n\tSpeed int\n}",
+      "for i, score := range scores {\n\tfmt.Printf(\"%d: %d\\n\", i, score)\n}",
+      "func calculateWPM(chars int, seconds float64) float64 {\n\treturn float64(chars) / 5 / (seconds / 60)\n}",
+      "done := make(chan bool)\ngo func() {\n\tdone <- true\n}()\n<-done"
+    ]
+  },
+  {
+    id: 'rust',
+    label: 'Rust',
+    indent: { unit: 'spaces', size: 4 },
+    syntax: {
+      keywords: [
+        'as', 'break', 'const', 'continue', 'else', 'enum', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let',
+        'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct',
+        'trait', 'true', 'type', 'use', 'where', 'while'
+      ],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"']
+    },
+    snippets: [
+      "fn calculate_wpm(chars: u32, seconds: f64) -> f64 {\n    (chars as f64 / 5.0) / (seconds / 60.0)\n}",
+      "struct Ghost {\n    name: String,\n    speed: u8,\n}",
+      "let mut scores = vec![3600, 2400, 1200];\nscores.sort_unstable_by(|a, b| b.cmp(a));",
+      "match direction {\n    Direction::Up => y -= 1,\n    Direction::Down => y += 1,\n    _ => {}\n}",
+      "impl Ghost {\n    pub fn new(name: &str) -> Self {\n        Ghost { name: name.to_string(), speed: 1 }\n    }\n}"
+    ]
+  },
+  {
+    id: 'ruby',
+    label: 'Ruby',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'begin', 'break', 'case', 'class', 'def', 'do', 'else', 'elsif', 'end', 'ensure', 'false', 'if',
+        'in', 'module', 'next', 'nil', 'puts', 'require', 'rescue', 'return', 'self', 'then', 'true',
+        'unless', 'until', 'when', 'while', 'yield'
+      ],
+      lineComment: '#',
+      strings: ['"', '\'']
+    },
+    snippets: [
+      "def calculate_wpm(chars, seconds)\n  (chars / 5.0) / (seconds / 60.0)\nend",
+      "class Ghost\n  attr_reader :name, :speed\n\n  def initialize(name, speed = 1)\n    @name = name\n    @speed = speed\n  end\nend",
+      "scores = [3600, 2400, 1200]\nscores.sort.reverse.each { |score| puts score }",
+      "ghosts.select { |ghost| ghost.speed > 2 }.map(&:name)",
+      "File.open('scores.txt', 'w') do |file|\n  file.puts \"High score: #{high_score}\"\nend"
+    ]
+  },
+  {
+    id: 'sql',
+    label: 'SQL',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'AND', 'AS', 'ASC', 'BY', 'COUNT', 'CREATE', 'DEFAULT', 'DELETE', 'DESC', 'FROM', 'GROUP',
+        'HAVING', 'INSERT', 'INTEGER', 'INTO', 'JOIN', 'KEY', 'LEFT', 'LIMIT', 'NOT', 'NULL', 'ON', 'OR',
+        'ORDER', 'PRIMARY', 'SELECT', 'SET', 'TABLE', 'TEXT', 'UPDATE', 'VALUES', 'WHERE'
+      ],
+      caseInsensitive: true,
+      lineComment: '--',
+      blockComment: ['/*', '*/'],
+      strings: ['\'']
+    },
+    snippets: [
+      "SELECT player, MAX(score) AS best\nFROM scores\nGROUP BY player\nORDER BY best DESC\nLIMIT 10;",
+      "CREATE TABLE ghosts (\n  id INTEGER PRIMARY KEY,\n  name TEXT NOT NULL,\n  speed INTEGER DEFAULT 1\n);",
+      "INSERT INTO scores (player, score)\nVALUES ('pacman', 3600);",
+      "UPDATE ghosts\nSET speed = speed + 1\nWHERE name = 'Blinky';",
+      "SELECT g.name, COUNT(*) AS catches\nFROM ghosts g\nLEFT JOIN catches c ON c.ghost_id = g.id\nGROUP BY g.name;"
+    ]
+  },
+  {
+    id: 'bash',
+    label: 'Bash',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function',
+        'if', 'in', 'local', 'read', 'return', 'then', 'while'
+      ],
+      lineComment: '#',
+      strings: ['"', '\'']
+    },
+    snippets: [
+      "#!/usr/bin/env bash\nset -euo pipefail",
+      "for level in levels/*.json; do\n  echo \"Loading $level\"\ndone",
+      "if [ -f scores.txt ]; then\n  sort -rn scores.txt | head -n 10\nfi",
+      "high_score=$(cat high_score.txt)\necho \"Beat $high_score to win\"",
+      "function start_game() {\n  local player=\"$1\"\n  echo \"Ready, $player!\"\n}"
+    ]
+  },
+  {
+    id: 'html',
+    label: 'HTML',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'body', 'button', 'canvas', 'class', 'div', 'head', 'href', 'html', 'id', 'input', 'li', 'link',
+        'main', 'p', 'script', 'section', 'span', 'src', 'style', 'title', 'type', 'ul'
+      ],
+      blockComment: ['<!--', '-->'],
+      strings: ['"', '\'']
+    },
+    snippets: [
+      "<canvas id=\"gameCanvas\" width=\"800\" height=\"600\"></canvas>",
+      "<ul class=\"high-scores\">\n  <li>PAC 3600</li>\n  <li>INK 2400</li>\n</ul>",
+      "<button id=\"startButton\" class=\"btn btn-primary\">\n  START GAME\n</button>",
+      "<!-- Game screen -->\n<section id=\"gameScreen\" class=\"screen\">\n  <div class=\"maze\"></div>\n</section>",
+      "<link rel=\"stylesheet\" href=\"style.css\">\n<script src=\"game.js\"></script>"
+    ]
+  },
+  {
+    id: 'css',
+    label: 'CSS',
+    indent: { unit: 'spaces', size: 2 },
+    syntax: {
+      keywords: [
+        'absolute', 'animation', 'background', 'border', 'color', 'display', 'ease', 'flex', 'grid',
+        'height', 'important', 'margin', 'none', 'padding', 'position', 'relative', 'transform',
+        'transition', 'width'
+      ],
+      blockComment: ['/*', '*/'],
+      strings: ['"', '\'']
+    },
+    snippets: [
+      ".pacman {\n  width: 40px;\n  height: 40px;\n  background: #FFE800;\n  border-radius: 50%;\n}",
+      ".ghost:hover {\n  transform: scale(1.2);\n  transition: transform 0.2s ease-out;\n}",
+      "@keyframes chomp {\n  0% { clip-path: circle(50%); }\n  50% { clip-path: polygon(0 0, 100% 50%, 0 100%); }\n}",
+      ":root {\n  --maze-blue: #2121DE;\n  --dot-size: 6px;\n}",
+      "/* Score board */\n.score-board {\n  display: grid;\n  grid-template-columns: repeat(2, 1fr);\n}"
+    ]
+  }
+];
\ No newline at end of file
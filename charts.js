@@ -0,0 +1,295 @@
+/**
+ * Charts for Pac-Man Typing Test
+ * Canvas line chart with a left and an optional right axis, drawn without any charting library
+ */
+
+class LineChart {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+    
+    // Optional element that shows data.tooltip(index) for the point under the mouse
+    this.tooltip = options.tooltip || null;
+    
+    // Drawing settings
+    this.config = {
+      padding: { top: 16, right: 48, bottom: 32, left: 48 },
+      gridLines: 4,
+      maxXLabels: 6,
+      pointRadius: 3,
+      markerSize: 4,
+      maxPointsDrawn: 40, // Points are only marked when there are few enough to tell apart
+      font: '12px "Courier New", monospace',
+      gridColor: 'rgba(255, 255, 255, 0.1)',
+      labelColor: '#888888',
+      guideColor: 'rgba(255, 255, 255, 0.4)',
+      emptyText: 'No data yet'
+    };
+    
+    // Current data
+    this.data = null;
+    this.count = 0;
+    this.hoverIndex = null;
+    
+    if (this.canvas && this.tooltip) {
+      this.setupEventListeners();
+    }
+  }
+  
+  setupEventListeners() {
+    this.canvas.addEventListener('mousemove', (e) => {
+      this.handleHover(e);
+    });
+    
+    this.canvas.addEventListener('mouseleave', () => {
+      this.setHoverIndex(null);
+    });
+  }
+  
+  setData(data) {
+    // data: { labels, series: [{ label, color, values, axis, style: 'line' | 'markers' }], axes: { left, right }, tooltip }
+    this.data = data;
+    this.hoverIndex = null;
+    this.hideTooltip();
+    this.render();
+  }
+  
+  resize() {
+    // Match the backing store to the displayed size so lines stay sharp
+    const rect = this.canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    
+    this.canvas.width = rect.width * dpr;
+    this.canvas.height = rect.height * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    
+    return { width: rect.width, height: rect.height };
+  }
+  
+  getScale(axis, series) {
+    // Axes without a fixed max round up to the next multiple of ten
+    const values = series.filter(item => (item.axis || 'left') === axis.id)
+      .reduce((all, item) => all.concat(item.values), []);
+    const min = axis.min !== undefined ? axis.min : 0;
+    const max = axis.max !== undefined ? axis.max : Math.max(10, Math.ceil(Math.max(0, ...values) / 10) * 10);
+    
+    return { min, max: max > min ? max : min + 1 };
+  }
+  
+  getArea() {
+    const { top, right, bottom, left } = this.config.padding;
+    return {
+      left: left,
+      top: top,
+      width: Math.max(1, this.size.width - left - right),
+      height: Math.max(1, this.size.height - top - bottom)
+    };
+  }
+  
+  getX(index, count) {
+    const area = this.getArea();
+    return count > 1 ? area.left + (index / (count - 1)) * area.width : area.left + area.width / 2;
+  }
+  
+  getY(value, scale) {
+    const area = this.getArea();
+    const ratio = (Math.min(scale.max, Math.max(scale.min, value)) - scale.min) / (scale.max - scale.min);
+    return area.top + area.height - ratio * area.height;
+  }
+  
+  render() {
+    // Charts on a hidden screen have no size yet; they are drawn again when shown
+    if (!this.ctx || this.canvas.getBoundingClientRect().width === 0) return;
+    
+    this.size = this.resize();
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.size.width, this.size.height);
+    ctx.font = this.config.font;
+    
+    const data = this.data;
+    const count = data ? Math.max(0, ...data.series.map(item => item.values.length)) : 0;
+    this.count = count;
+    if (count === 0) {
+      ctx.fillStyle = this.config.labelColor;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(this.config.emptyText, this.size.width / 2, this.size.height / 2);
+      return;
+    }
+    
+    const axes = data.axes || {};
+    const scales = {
+      left: this.getScale({ id: 'left', ...axes.left }, data.series),
+      right: axes.right ? this.getScale({ id: 'right', ...axes.right }, data.series) : null
+    };
+    
+    this.drawGrid(scales, axes);
+    this.drawXLabels(data.labels || [], count);
+    data.series.forEach(item => {
+      const scale = scales[item.axis || 'left'] || scales.left;
+      if (item.style === 'markers') {
+        this.drawMarkers(item, scale, count);
+      } else {
+        this.drawSeries(item, scale, count);
+      }
+    });
+    
+    if (this.hoverIndex !== null && this.hoverIndex < count) {
+      this.drawGuide(this.hoverIndex, count);
+    }
+  }
+  
+  drawGrid(scales, axes) {
+    const ctx = this.ctx;
+    const area = this.getArea();
+    const format = (axis, value) => (axis && axis.format ? axis.format(value) : Math.round(value));
+    
+    ctx.strokeStyle = this.config.gridColor;
+    ctx.lineWidth = 1;
+    ctx.fillStyle = this.config.labelColor;
+    ctx.textBaseline = 'middle';
+    
+    for (let i = 0; i <= this.config.gridLines; i++) {
+      const ratio = i / this.config.gridLines;
+      const y = area.top + area.height - ratio * area.height;
+      
+      ctx.beginPath();
+      ctx.moveTo(area.left, y);
+      ctx.lineTo(area.left + area.width, y);
+      ctx.stroke();
+      
+      const left = scales.left;
+      ctx.textAlign = 'right';
+      ctx.fillText(format(axes.left, left.min + ratio * (left.max - left.min)), area.left - 6, y);
+      
+      const right = scales.right;
+      if (right) {
+        ctx.textAlign = 'left';
+        ctx.fillText(format(axes.right, right.min + ratio * (right.max - right.min)), area.left + area.width + 6, y);
+      }
+    }
+  }
+  
+  drawXLabels(labels, count) {
+    const ctx = this.ctx;
+    const area = this.getArea();
+    const step = Math.max(1, Math.ceil(count / this.config.maxXLabels));
+    
+    ctx.fillStyle = this.config.labelColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    
+    for (let i = 0; i < count; i += step) {
+      if (labels[i] !== undefined) {
+        ctx.fillText(labels[i], this.getX(i, count), area.top + area.height + 8);
+      }
+    }
+  }
+  
+  drawSeries(series, scale, count) {
+    const ctx = this.ctx;
+    const values = series.values;
+    
+    ctx.strokeStyle = series.color;
+    ctx.fillStyle = series.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((value, index) => {
+      const x = this.getX(index, count);
+      const y = this.getY(value, scale);
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+    
+    if (values.length <= this.config.maxPointsDrawn) {
+      values.forEach((value, index) => {
+        ctx.beginPath();
+        ctx.arc(this.getX(index, count), this.getY(value, scale), this.config.pointRadius, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+  }
+  
+  drawMarkers(series, scale, count) {
+    // A cross at every point with a value; zero means nothing happened there
+    const ctx = this.ctx;
+    const size = this.config.markerSize;
+    
+    ctx.strokeStyle = series.color;
+    ctx.lineWidth = 2;
+    series.values.forEach((value, index) => {
+      if (!value) return;
+      
+      const x = this.getX(index, count);
+      const y = this.getY(value, scale);
+      ctx.beginPath();
+      ctx.moveTo(x - size, y - size);
+      ctx.lineTo(x + size, y + size);
+      ctx.moveTo(x + size, y - size);
+      ctx.lineTo(x - size, y + size);
+      ctx.stroke();
+    });
+  }
+  
+  drawGuide(index, count) {
+    const ctx = this.ctx;
+    const area = this.getArea();
+    const x = this.getX(index, count);
+    
+    ctx.strokeStyle = this.config.guideColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, area.top);
+    ctx.lineTo(x, area.top + area.height);
+    ctx.stroke();
+  }
+  
+  handleHover(e) {
+    if (!this.size || this.count === 0) return;
+    
+    // Snap to the nearest point along the x axis
+    const area = this.getArea();
+    const x = e.clientX - this.canvas.getBoundingClientRect().left;
+    const ratio = (x - area.left) / area.width;
+    const index = this.count > 1 ? Math.round(ratio * (this.count - 1)) : 0;
+    
+    this.setHoverIndex(Math.max(0, Math.min(this.count - 1, index)));
+  }
+  
+  setHoverIndex(index) {
+    if (index === this.hoverIndex) return;
+    
+    this.hoverIndex = index;
+    this.render();
+    
+    if (index === null) {
+      this.hideTooltip();
+    } else {
+      this.showTooltip(index);
+    }
+  }
+  
+  showTooltip(index) {
+    if (!this.tooltip || !this.data || !this.data.tooltip) return;
+    
+    // The tooltip sits beside the guide line, flipped to the left in the right half of the chart
+    const x = this.getX(index, this.count);
+    const flip = x > this.size.width / 2;
+    
+    this.tooltip.textContent = this.data.tooltip(index);
+    this.tooltip.style.display = 'block';
+    this.tooltip.style.top = `${this.config.padding.top}px`;
+    this.tooltip.style.left = flip ? 'auto' : `${x + 8}px`;
+    this.tooltip.style.right = flip ? `${this.size.width - x + 8}px` : 'auto';
+  }
+  
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.style.display = 'none';
+    }
+  }
+}
\ No newline at end of file
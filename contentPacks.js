@@ -0,0 +1,316 @@
+/**
+ * Content Pack Manager for Pac-Man Typing Test
+ * Loads, validates and registers JSON content packs with word lists, sentences and code snippets
+ */
+
+class ContentPackManager {
+  constructor() {
+    this.formatVersion = 1;
+    this.storageKey = 'pacmanTyping.contentPacks';
+    this.idPattern = /^[a-z0-9][a-z0-9_-]*$/i;
+    
+    // Registered packs in load order, built-in first
+    this.packs = new Map();
+    this.builtInIds = new Set();
+    
+    // Merged view of every registered pack
+    this.contentData = {
+      difficulties: {},
+      code_snippets: {}
+    };
+    
+    // Callbacks
+    this.onChange = null;
+  }
+  
+  init() {
+    this.register(DEFAULT_CONTENT_PACK, { builtIn: true });
+    this.loadStoredPacks();
+    
+    console.log(`Content Pack Manager initialized with ${this.packs.size} pack(s)`);
+  }
+  
+  validate(pack) {
+    const errors = [];
+    
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return ['Pack must be a JSON object'];
+    }
+    
+    if (pack.formatVersion !== undefined && pack.formatVersion !== this.formatVersion) {
+      errors.push(`formatVersion ${pack.formatVersion} is not supported (expected ${this.formatVersion})`);
+    }
+    
+    if (typeof pack.id !== 'string' || !this.idPattern.test(pack.id)) {
+      errors.push('id must be a string of letters, digits, "-" or "_"');
+    }
+    
+    if (!this.isNonEmptyString(pack.name)) {
+      errors.push('name must be a non-empty string');
+    }
+    
+    ['version', 'description'].forEach(field => {
+      if (pack[field] !== undefined && typeof pack[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+    
+    if (pack.attribution !== undefined) {
+      if (!this.isPlainObject(pack.attribution)) {
+        errors.push('attribution must be an object');
+      } else {
+        Object.entries(pack.attribution).forEach(([field, value]) => {
+          if (typeof value !== 'string') {
+            errors.push(`attribution.${field} must be a string`);
+          }
+        });
+      }
+    }
+    
+    if (pack.difficulties === undefined && pack.code_snippets === undefined) {
+      errors.push('pack must define difficulties, code_snippets or both');
+    }
+    
+    if (pack.difficulties !== undefined) {
+      this.validateDifficulties(pack.difficulties, errors);
+    }
+    
+    if (pack.code_snippets !== undefined) {
+      this.validateCodeSnippets(pack.code_snippets, errors);
+    }
+    
+    return errors;
+  }
+  
+  validateDifficulties(difficulties, errors) {
+    if (!this.isPlainObject(difficulties)) {
+      errors.push('difficulties must be an object of difficulty tiers');
+      return;
+    }
+    
+    Object.entries(difficulties).forEach(([id, tier]) => {
+      const path = `difficulties.${id}`;
+      
+      if (!this.idPattern.test(id)) {
+        errors.push(`${path}: tier id must use letters, digits, "-" or "_"`);
+      }
+      
+      if (!this.isPlainObject(tier)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      
+      if (tier.label !== undefined && !this.isNonEmptyString(tier.label)) {
+        errors.push(`${path}.label must be a non-empty string`);
+      }
+      
+      this.validateStringList(tier.words, `${path}.words`, errors, (word) => !/\s/.test(word), 'a single word without spaces');
+      this.validateStringList(tier.sentences, `${path}.sentences`, errors);
+      
+      if ((tier.words || []).length === 0 && (tier.sentences || []).length === 0) {
+        errors.push(`${path} must have at least one word or sentence`);
+      }
+    });
+  }
+  
+  validateCodeSnippets(codeSnippets, errors) {
+    if (!this.isPlainObject(codeSnippets)) {
+      errors.push('code_snippets must be an object keyed by language');
+      return;
+    }
+    
+    Object.entries(codeSnippets).forEach(([language, entry]) => {
+      const path = `code_snippets.${language}`;
+      
+      if (!this.idPattern.test(language)) {
+        errors.push(`${path}: language id must use letters, digits, "-" or "_"`);
+      }
+      
+      if (!this.isPlainObject(entry)) {
+        errors.push(`${path} must be an object with a snippets list`);
+        return;
+      }
+      
+      if (entry.label !== undefined && !this.isNonEmptyString(entry.label)) {
+        errors.push(`${path}.label must be a non-empty string`);
+      }
+      
+      if (!Array.isArray(entry.snippets) || entry.snippets.length === 0) {
+        errors.push(`${path}.snippets must be a non-empty list`);
+        return;
+      }
+      
+      this.validateStringList(entry.snippets, `${path}.snippets`, errors);
+    });
+  }
+  
+  validateStringList(list, path, errors, isValid = () => true, expected = 'a non-empty string') {
+    if (list === undefined) return;
+    
+    if (!Array.isArray(list)) {
+      errors.push(`${path} must be a list`);
+      return;
+    }
+    
+    list.forEach((item, index) => {
+      if (!this.isNonEmptyString(item) || !isValid(item)) {
+        errors.push(`${path}[${index}] must be ${expected}`);
+      }
+    });
+  }
+  
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+  
+  register(pack, options = {}) {
+    const errors = this.validate(pack);
+    if (errors.length > 0) {
+      const name = pack && pack.name ? pack.name : 'content pack';
+      throw new Error(`Invalid ${name}: ${errors.join('; ')}`);
+    }
+    
+    if (this.builtInIds.has(pack.id) && !options.builtIn) {
+      throw new Error(`Content pack id "${pack.id}" is reserved by a built-in pack`);
+    }
+    
+    this.packs.set(pack.id, pack);
+    if (options.builtIn) {
+      this.builtInIds.add(pack.id);
+    }
+    
+    this.rebuild();
+    
+    if (options.persist) {
+      this.saveStoredPacks();
+    }
+    
+    console.log(`Registered content pack: ${pack.name} (${pack.id})`);
+    return pack;
+  }
+  
+  unregister(id) {
+    if (this.builtInIds.has(id) || !this.packs.has(id)) return;
+    
+    this.packs.delete(id);
+    this.rebuild();
+    this.saveStoredPacks();
+  }
+  
+  clearUserPacks() {
+    Array.from(this.packs.keys())
+      .filter(id => !this.builtInIds.has(id))
+      .forEach(id => this.packs.delete(id));
+    
+    this.rebuild();
+    this.saveStoredPacks();
+  }
+  
+  rebuild() {
+    // Tiers and languages with the same id are merged across packs
+    const difficulties = {};
+    const codeSnippets = {};
+    
+    this.packs.forEach(pack => {
+      Object.entries(pack.difficulties || {}).forEach(([id, tier]) => {
+        const merged = difficulties[id] || (difficulties[id] = { label: tier.label || id, words: [], sentences: [] });
+        merged.words.push(...(tier.words || []));
+        merged.sentences.push(...(tier.sentences || []));
+      });
+      
+      Object.entries(pack.code_snippets || {}).forEach(([language, entry]) => {
+        const merged = codeSnippets[language] || (codeSnippets[language] = { label: entry.label || language, snippets: [] });
+        merged.snippets.push(...entry.snippets);
+      });
+    });
+    
+    this.contentData.difficulties = difficulties;
+    this.contentData.code_snippets = codeSnippets;
+    
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+  
+  parse(json) {
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Content pack is not valid JSON: ${error.message}`);
+    }
+  }
+  
+  loadFromJSON(json, options = {}) {
+    return this.register(this.parse(json), options);
+  }
+  
+  async loadFromUrl(url, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load content pack from ${url}: ${response.status}`);
+    }
+    
+    return this.loadFromJSON(await response.text(), options);
+  }
+  
+  async loadFromFile(file) {
+    return this.loadFromJSON(await TextFile.read(file), { persist: true });
+  }
+  
+  loadStoredPacks() {
+    let storedPacks = [];
+    
+    try {
+      storedPacks = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+    } catch (error) {
+      console.warn('Failed to read stored content packs:', error);
+      return;
+    }
+    
+    // A broken stored pack is skipped rather than blocking the others
+    (Array.isArray(storedPacks) ? storedPacks : []).forEach(pack => {
+      try {
+        this.register(pack);
+      } catch (error) {
+        console.warn('Skipping stored content pack:', error.message);
+      }
+    });
+  }
+  
+  saveStoredPacks() {
+    const userPacks = Array.from(this.packs.values()).filter(pack => !this.builtInIds.has(pack.id));
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(userPacks));
+    } catch (error) {
+      console.warn('Failed to save content packs:', error);
+    }
+  }
+  
+  getDifficulty(id) {
+    const difficulties = this.contentData.difficulties;
+    return difficulties[id] || difficulties.normal || Object.values(difficulties)[0];
+  }
+  
+  getSnippets(language) {
+    // Only the packs' own snippets; the language registry adds the built-in ones and picks a fallback
+    const entry = this.contentData.code_snippets[language];
+    return entry ? entry.snippets : [];
+  }
+  
+  getDifficulties() {
+    return Object.entries(this.contentData.difficulties).map(([id, tier]) => ({ id: id, label: tier.label }));
+  }
+  
+  getLanguages() {
+    return Object.entries(this.contentData.code_snippets).map(([id, entry]) => ({ id: id, label: entry.label }));
+  }
+  
+  getUserPacks() {
+    return Array.from(this.packs.values()).filter(pack => !this.builtInIds.has(pack.id));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Custom Text Source for Pac-Man Typing Test
+ * Normalizes pasted or imported text and splits it across several tests
+ */
+
+class CustomTextSource {
+  constructor() {
+    // Import limits
+    this.acceptedExtensions = [
+      '.txt', '.md', '.markdown', '.js', '.mjs', '.ts', '.jsx', '.tsx', '.py', '.java', '.c', '.h',
+      '.cpp', '.hpp', '.cs', '.go', '.rs', '.rb', '.kt', '.swift', '.php', '.sql', '.sh',
+      '.html', '.css', '.json', '.yml', '.yaml'
+    ];
+    this.maxFileSize = 512 * 1024; // bytes
+    this.tabSize = 4;
+    
+    // Characters that are awkward or impossible to type on a standard keyboard
+    this.replacements = [
+      [/[\u2018\u2019\u201A\u201B\u2032]/g, '\''],
+      [/[\u201C\u201D\u201E\u201F\u2033]/g, '"'],
+      [/[\u2013\u2014\u2212]/g, '-'],
+      [/\u2026/g, '...'],
+      [/[\u00A0\u2007\u202F]/g, ' '],
+      [/[\u200B-\u200D\uFEFF]/g, '']
+    ];
+    
+    // Source state
+    this.text = '';
+    this.parts = [];
+    this.partIndex = 0;
+    this.partSize = 0; // words per test, 0 keeps the whole text in one test
+    this.completedPart = false;
+  }
+  
+  normalize(text) {
+    let normalized = text.replace(/\r\n?/g, '\n');
+    
+    this.replacements.forEach(([pattern, replacement]) => {
+      normalized = normalized.replace(pattern, replacement);
+    });
+    
+    return normalized
+      .replace(/\t/g, ' '.repeat(this.tabSize))
+      .split('\n')
+      .map(line => line.trimEnd())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+  
+  setText(text) {
+    this.text = this.normalize(text);
+    this.split();
+  }
+  
+  setPartSize(partSize) {
+    this.partSize = Math.max(0, partSize || 0);
+    this.split();
+  }
+  
+  split() {
+    this.parts = [];
+    this.partIndex = 0;
+    this.completedPart = false;
+    
+    if (!this.text) return;
+    
+    if (this.partSize === 0) {
+      this.parts = [this.text];
+      return;
+    }
+    
+    // Words keep their trailing whitespace so line breaks and indentation survive the split
+    const tokens = this.text.match(/\S+\s*/g) || [];
+    const isMultiLine = this.text.includes('\n');
+    let current = '';
+    let wordCount = 0;
+    
+    tokens.forEach(token => {
+      current += token;
+      wordCount++;
+      
+      // Multi-line text prefers to break at a line end so code and paragraphs stay intact
+      const canBreak = !isMultiLine || token.includes('\n');
+      if ((wordCount >= this.partSize && canBreak) || wordCount >= this.partSize * 2) {
+        this.addPart(current);
+        current = '';
+        wordCount = 0;
+      }
+    });
+    
+    this.addPart(current);
+  }
+  
+  addPart(part) {
+    const trimmed = part.trim();
+    if (trimmed) {
+      this.parts.push(trimmed);
+    }
+  }
+  
+  hasText() {
+    return this.parts.length > 0;
+  }
+  
+  getCurrentPart() {
+    return this.parts[this.partIndex] || '';
+  }
+  
+  markCompleted() {
+    this.completedPart = true;
+  }
+  
+  advanceIfCompleted() {
+    // Move on to the next part only once the current one has been finished
+    if (this.completedPart && this.parts.length > 0) {
+      this.partIndex = (this.partIndex + 1) % this.parts.length;
+      this.completedPart = false;
+    }
+  }
+  
+  getPartInfo() {
+    return {
+      index: this.partIndex + 1,
+      total: this.parts.length
+    };
+  }
+  
+  isAcceptedFile(file) {
+    const name = file.name.toLowerCase();
+    return this.acceptedExtensions.some(extension => name.endsWith(extension));
+  }
+  
+  async readFile(file) {
+    if (!this.isAcceptedFile(file)) {
+      throw new Error(`Unsupported file type: ${file.name}`);
+    }
+    
+    if (file.size > this.maxFileSize) {
+      throw new Error(`File is too large (max ${Math.round(this.maxFileSize / 1024)} KB): ${file.name}`);
+    }
+    
+    return TextFile.read(file);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Data Export for Pac-Man Typing Test
+ * Writes results and history as CSV or JSON files and merges JSON backups back into history
+ */
+
+class DataExport {
+  constructor(dependencies = {}) {
+    this.history = dependencies.history;
+    
+    this.format = 'pacman-typing-history';
+    this.version = 1;
+    this.maxFileSize = 20 * 1024 * 1024; // bytes
+    
+    // Text options apply to every row, code options only to Coders Mode rows
+    const textOption = (key) => (entry) => (entry.config.textOptions || {})[key];
+    const codeOption = (key) => (entry) => (entry.config.mode === 'code' ? (entry.config.codeOptions || {})[key] : null);
+    
+    // CSV columns in order, each read from a history entry
+    this.columns = [
+      { label: 'date', value: (entry) => new Date(entry.timestamp).toISOString() },
+      { label: 'mode', value: (entry) => entry.config.mode },
+      { label: 'difficulty', value: (entry) => entry.config.difficulty },
+      { label: 'language', value: (entry) => entry.config.language },
+      { label: 'length_mode', value: (entry) => entry.config.lengthMode },
+      { label: 'length', value: (entry) => this.getLength(entry.config) },
+      { label: 'error_mode', value: (entry) => entry.config.errorMode },
+      { label: 'lesson', value: (entry) => entry.config.lesson },
+      { label: 'seed', value: (entry) => entry.config.seed },
+      { label: 'capitals', value: textOption('capitalize') },
+      { label: 'punctuation', value: textOption('punctuation') },
+      { label: 'numbers', value: textOption('numbers') },
+      { label: 'symbols', value: textOption('symbols') },
+      { label: 'auto_indent', value: codeOption('autoIndent') },
+      { label: 'tab_matches_spaces', value: codeOption('tabMatchesSpaces') },
+      { label: 'auto_pair_brackets', value: codeOption('autoPairBrackets') },
+      { label: 'wpm', value: (entry) => this.round(entry.stats.wpm) },
+      { label: 'raw_wpm', value: (entry) => this.round(entry.stats.rawWpm) },
+      { label: 'net_wpm', value: (entry) => this.round(entry.stats.netWpm) },
+      { label: 'accuracy', value: (entry) => this.round(entry.stats.accuracy) },
+      { label: 'consistency', value: (entry) => this.round(entry.stats.consistency) },
+      { label: 'errors', value: (entry) => entry.stats.errors },
+      { label: 'characters', value: (entry) => entry.stats.charactersTyped },
+      { label: 'seconds', value: (entry) => this.round(entry.stats.timeElapsed) }
+    ];
+  }
+  
+  getLength(config) {
+    // Minutes, words or characters, depending on the length mode
+    switch (config.lengthMode) {
+      case 'words':
+        return config.wordCount;
+      case 'chars':
+        return config.charCount;
+      default:
+        return config.time;
+    }
+  }
+  
+  round(value) {
+    return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+  }
+  
+  escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+    
+    // Quote fields that would otherwise break the row; quotes inside are doubled
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  toCSV(entries) {
+    const rows = [this.columns.map(column => column.label)];
+    entries.forEach(entry => {
+      rows.push(this.columns.map(column => column.value(entry)));
+    });
+    
+    return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+  }
+  
+  toJSON(entries) {
+    // Ids are local to this browser's database, so they are left out
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      entries: entries.map(({ id, ...entry }) => entry)
+    }, null, 2);
+  }
+  
+  download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  getFilename(name, extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `pacman-typing-${name}-${date}.${extension}`;
+  }
+  
+  exportCSV(name, entries) {
+    this.download(this.getFilename(name, 'csv'), this.toCSV(entries), 'text/csv');
+  }
+  
+  exportJSON(name, entries) {
+    this.download(this.getFilename(name, 'json'), this.toJSON(entries), 'application/json');
+  }
+  
+  async readFile(file) {
+    if (file.size > this.maxFileSize) {
+      throw new Error(`File is too large (max ${Math.round(this.maxFileSize / 1024 / 1024)} MB): ${file.name}`);
+    }
+    
+    return TextFile.read(file);
+  }
+  
+  parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid backup: ${error.message}`);
+    }
+    
+    if (!backup || backup.format !== this.format || !Array.isArray(backup.entries)) {
+      throw new Error('Invalid backup: not a Pac-Man Typing Test history export');
+    }
+    if (backup.version !== this.version) {
+      throw new Error(`Invalid backup: unsupported version ${backup.version}`);
+    }
+    
+    return backup.entries;
+  }
+  
+  isValidEntry(entry) {
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    
+    return isObject(entry) &&
+      Number.isFinite(entry.timestamp) &&
+      isObject(entry.config) && typeof entry.config.mode === 'string' &&
+      isObject(entry.stats) && ['wpm', 'accuracy', 'timeElapsed'].every(key => Number.isFinite(entry.stats[key]));
+  }
+  
+  getEntryKey(entry) {
+    // The same test exported twice has the same time, setup and score
+    const { config, stats } = entry;
+    return [entry.timestamp, config.mode, config.difficulty, config.language, config.seed, this.round(stats.wpm), this.round(stats.accuracy)].join('|');
+  }
+  
+  async importBackup(file) {
+    // Merges a JSON export into history, skipping tests that are already there
+    const entries = this.parseBackup(await this.readFile(file));
+    const valid = entries.filter(entry => this.isValidEntry(entry));
+    const seen = new Set((await this.history.getAll()).map(entry => this.getEntryKey(entry)));
+    const added = [];
+    
+    valid.forEach(entry => {
+      const key = this.getEntryKey(entry);
+      if (seen.has(key)) return;
+      
+      seen.add(key);
+      const { id, ...rest } = entry;
+      added.push(rest);
+    });
+    
+    await this.history.addMany(added);
+    
+    return {
+      added: added.length,
+      duplicates: valid.length - added.length,
+      invalid: entries.length - valid.length
+    };
+  }
+}
\ No newline at end of file
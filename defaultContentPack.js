@@ -0,0 +1,45 @@
+/**
+ * Default Content Pack for Pac-Man Typing Test
+ * Built-in word lists and sentences, in the same format as loadable content packs
+ * Code snippets ship with their language in builtInLanguages.js
+ */
+
+const DEFAULT_CONTENT_PACK = {
+  formatVersion: 1,
+  id: 'pacman-classic',
+  name: 'Pac-Man Classic',
+  version: '1.0.0',
+  description: 'The built-in word lists and sentences',
+  attribution: {
+    author: 'Ratnadeep Bose',
+    license: 'MIT'
+  },
+  
+  difficulties: {
+    easy: {
+      label: 'Easy - Simple Words',
+      words: ["cat", "dog", "run", "fun", "sun", "hat", "bat", "mat", "car", "bar", "toy", "boy", "joy", "day", "way", "say", "may", "ray", "key", "see"],
+      sentences: ["The cat runs fast.", "Dogs like to play.", "Sun is very bright.", "I love to read books.", "Birds fly in the sky."]
+    },
+    normal: {
+      label: 'Normal - Common Words',
+      words: ["keyboard", "typing", "practice", "accuracy", "speed", "computer", "pacman", "arcade", "challenge", "improve", "exercise", "rhythm", "finger", "position"],
+      sentences: ["Practice makes perfect typing.", "Arcade games are really fun.", "Typing speed improves with time.", "Focus on accuracy first, then speed."]
+    },
+    hard: {
+      label: 'Hard - Complex Words',
+      words: ["algorithm", "efficiency", "performance", "optimization", "sophisticated", "implementation", "architecture", "methodology", "comprehensive", "fundamental"],
+      sentences: ["Algorithm efficiency determines program performance.", "Sophisticated implementations require careful optimization.", "Comprehensive testing ensures reliable software architecture."]
+    },
+    expert: {
+      label: 'Expert - Technical Terms',
+      words: ["asynchronous", "polymorphism", "encapsulation", "abstraction", "inheritance", "composition", "instantiation", "serialization", "multithreading", "concurrency"],
+      sentences: ["Asynchronous programming improves application responsiveness.", "Polymorphism enables flexible object-oriented design patterns.", "Encapsulation provides data security and code maintainability."]
+    },
+    advanced: {
+      label: 'Advanced - Programming',
+      words: ["metaprogramming", "concurrency", "serialization", "deserialization", "multithreading", "parallelization", "synchronization", "virtualization", "containerization", "orchestration"],
+      sentences: ["Metaprogramming techniques enable dynamic code generation.", "Concurrency management prevents race condition vulnerabilities.", "Containerization simplifies application deployment and scaling."]
+    }
+  }
+};
\ No newline at end of file
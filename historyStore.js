@@ -0,0 +1,138 @@
+/**
+ * History Store for Pac-Man Typing Test
+ * Keeps every finished test in IndexedDB with its config, stats and a timestamp
+ */
+
+class HistoryStore {
+  constructor() {
+    this.dbName = 'pacmanTyping';
+    this.storeName = 'history';
+    this.version = 1;
+    this.db = null;
+  }
+  
+  async init() {
+    // Private browsing and very old browsers have no IndexedDB; the rest of the app still works without history
+    if (!window.indexedDB) {
+      console.warn('IndexedDB is not available, test history will not be saved');
+      return;
+    }
+    
+    try {
+      this.db = await this.open();
+      console.log('History Store initialized');
+    } catch (error) {
+      console.warn('Failed to open test history:', error);
+    }
+  }
+  
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Test history is open in another tab'));
+    });
+  }
+  
+  isAvailable() {
+    return this.db !== null;
+  }
+  
+  createEntry(config, results) {
+    // Only what is needed to compare runs later; keystrokes and analytics stay on the results screen
+    return {
+      timestamp: Date.now(),
+      config: {
+        mode: config.mode,
+        difficulty: config.difficulty,
+        language: config.mode === 'code' ? config.language : null,
+        lengthMode: config.lengthMode,
+        time: config.time,
+        wordCount: config.wordCount,
+        charCount: config.charCount,
+        errorMode: config.errorMode,
+        textOptions: { ...results.textOptions }, // Off outside the word modes, where they shape nothing
+        codeOptions: { ...config.codeOptions },
+        lesson: config.lesson || null,
+        seed: results.seed
+      },
+      stats: {
+        wpm: results.wpm,
+        rawWpm: results.rawWpm,
+        netWpm: results.netWpm,
+        accuracy: results.accuracy,
+        consistency: results.consistency,
+        errors: results.errors,
+        charactersTyped: results.charactersTyped,
+        timeElapsed: results.timeElapsed
+      }
+    };
+  }
+  
+  request(mode, action) {
+    if (!this.db) {
+      return Promise.reject(new Error('Test history is not available'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = action(transaction.objectStore(this.storeName));
+      
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  async add(entry) {
+    const id = await this.request('readwrite', store => store.add(entry));
+    return { ...entry, id: id };
+  }
+  
+  async addMany(entries) {
+    // One transaction, so an import either lands completely or not at all
+    if (entries.length === 0) return;
+    
+    await this.request('readwrite', store => {
+      entries.forEach(entry => store.add(entry));
+      return store;
+    });
+  }
+  
+  async getAll() {
+    // Oldest first, the order the charts draw in
+    return this.request('readonly', store => store.index('timestamp').getAll());
+  }
+  
+  async clear() {
+    await this.request('readwrite', store => store.clear());
+  }
+  
+  filter(entries, filters) {
+    // A filter of 'all' (or missing) matches everything
+    return entries.filter(entry => Object.entries(filters).every(([key, value]) =>
+      !value || value === 'all' || entry.config[key] === value));
+  }
+  
+  getFilterValues(entries, key) {
+    // Distinct values of one config field, in the order they first appear
+    const values = [];
+    entries.forEach(entry => {
+      const value = entry.config[key];
+      if (value && !values.includes(value)) {
+        values.push(value);
+      }
+    });
+    return values;
+  }
+}
\ No newline at end of file
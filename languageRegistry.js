@@ -0,0 +1,115 @@
+/**
+ * Language Registry for Pac-Man Typing Test
+ * Keeps every code language with its snippets, syntax rules and indentation convention
+ */
+
+class LanguageRegistry {
+  constructor(dependencies = {}) {
+    this.contentPacks = dependencies.contentPacks;
+    
+    this.idPattern = /^[a-z0-9][a-z0-9_-]*$/i;
+    this.defaultLanguage = 'javascript';
+    this.defaultIndent = { unit: 'spaces', size: 2 };
+    
+    // Registered languages in registration order
+    this.languages = new Map();
+  }
+  
+  init() {
+    BUILT_IN_LANGUAGES.forEach(language => this.register(language));
+    
+    console.log(`Language Registry initialized with ${this.languages.size} language(s)`);
+  }
+  
+  validate(language) {
+    const errors = [];
+    
+    if (!language || typeof language !== 'object' || Array.isArray(language)) {
+      return ['language must be an object'];
+    }
+    
+    if (typeof language.id !== 'string' || !this.idPattern.test(language.id)) {
+      errors.push('id must be a string of letters, digits, "-" or "_"');
+    }
+    
+    if (typeof language.label !== 'string' || language.label.trim() === '') {
+      errors.push('label must be a non-empty string');
+    }
+    
+    if (!Array.isArray(language.snippets) || language.snippets.some(snippet => typeof snippet !== 'string' || snippet.trim() === '')) {
+      errors.push('snippets must be a list of non-empty strings');
+    }
+    
+    const syntax = language.syntax;
+    if (!syntax || typeof syntax !== 'object') {
+      errors.push('syntax must be an object');
+    } else {
+      if (!Array.isArray(syntax.keywords)) {
+        errors.push('syntax.keywords must be a list');
+      }
+      if (!Array.isArray(syntax.strings)) {
+        errors.push('syntax.strings must be a list of quote delimiters');
+      }
+      if (syntax.blockComment && (!Array.isArray(syntax.blockComment) || syntax.blockComment.length !== 2)) {
+        errors.push('syntax.blockComment must be an [open, close] pair');
+      }
+    }
+    
+    const indent = language.indent;
+    if (!indent || !['spaces', 'tabs'].includes(indent.unit) || !(indent.size > 0)) {
+      errors.push('indent must name a unit of "spaces" or "tabs" and a positive size');
+    }
+    
+    return errors;
+  }
+  
+  register(language) {
+    const errors = this.validate(language);
+    if (errors.length > 0) {
+      const name = language && language.label ? language.label : 'language';
+      throw new Error(`Invalid ${name}: ${errors.join('; ')}`);
+    }
+    
+    this.languages.set(language.id, language);
+    return language;
+  }
+  
+  get(id) {
+    return this.languages.get(id) || null;
+  }
+  
+  getLanguages() {
+    const languages = Array.from(this.languages.values()).map(language => ({ id: language.id, label: language.label }));
+    
+    // Content packs can bring languages the registry does not know; those get snippets but no highlighting
+    if (this.contentPacks) {
+      this.contentPacks.getLanguages()
+        .filter(language => !this.languages.has(language.id))
+        .forEach(language => languages.push(language));
+    }
+    
+    return languages;
+  }
+  
+  getSnippets(id) {
+    const language = this.get(id);
+    const packSnippets = this.contentPacks ? this.contentPacks.getSnippets(id) : [];
+    const snippets = [...(language ? language.snippets : []), ...packSnippets];
+    
+    if (snippets.length === 0 && id !== this.defaultLanguage) {
+      return this.getSnippets(this.defaultLanguage);
+    }
+    
+    return snippets;
+  }
+  
+  getSyntax(id) {
+    const language = this.get(id);
+    return language ? language.syntax : null;
+  }
+  
+  getIndent(id) {
+    const language = this.get(id);
+    return language ? language.indent : this.defaultIndent;
+  }
+}
\ No newline at end of file
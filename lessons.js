@@ -0,0 +1,326 @@
+/**
+ * Lesson Manager for Pac-Man Typing Test
+ * Guided curriculum from the home row to code punctuation: drills per stage, pass criteria and saved progress
+ */
+
+class LessonManager {
+  constructor(dependencies = {}) {
+    // Real words for the drills come from the registered content packs
+    this.contentPacks = dependencies.contentPacks;
+    
+    this.storageKey = 'pacmanTyping.lessons';
+    this.version = 1;
+    
+    // Stages in order; each one adds its focus keys to everything learned before
+    this.stages = [
+      {
+        id: 'home-row',
+        title: 'Home Row',
+        description: 'Rest your fingers on ASDF and JKL; and type without looking down',
+        focus: 'asdfghjkl;',
+        pass: { wpm: 15, accuracy: 90 }
+      },
+      {
+        id: 'top-row',
+        title: 'Top Row',
+        description: 'Reach up to QWERTYUIOP and back to the home row',
+        focus: 'qwertyuiop',
+        pass: { wpm: 18, accuracy: 90 }
+      },
+      {
+        id: 'bottom-row',
+        title: 'Bottom Row',
+        description: 'Reach down to ZXCVBNM and the comma, period and slash',
+        focus: 'zxcvbnm,./',
+        pass: { wpm: 20, accuracy: 90 }
+      },
+      {
+        id: 'numbers',
+        title: 'Numbers',
+        description: 'The number row, from 1 to 0',
+        focus: '1234567890',
+        pass: { wpm: 18, accuracy: 88 }
+      },
+      {
+        id: 'symbols',
+        title: 'Symbols',
+        description: 'Shifted symbols on the number row and beside it',
+        focus: '!@#$%^&*-_=+?',
+        pass: { wpm: 15, accuracy: 85 }
+      },
+      {
+        id: 'code-punctuation',
+        title: 'Code Punctuation',
+        description: 'Brackets, quotes and the punctuation that fills source code',
+        focus: '(){}[]<>;:\'"',
+        pass: { wpm: 15, accuracy: 85 }
+      }
+    ];
+    
+    // Drill generation
+    this.drill = {
+      words: 30, // Words per drill
+      focusRunChance: 0.25, // Share of words that repeat the stage's new keys
+      symbolChance: 0.6, // Share of words that carry one of the stage's new symbols
+      minWordLength: 3,
+      maxWordLength: 6,
+      pairs: { '(': ')', '[': ']', '{': '}', '<': '>', '"': '"', '\'': '\'' },
+      trailing: ';:,.!?%' // Symbols that follow a word rather than lead it
+    };
+    
+    // Saved progress per stage
+    this.progress = this.createProgress();
+    
+    // Callbacks
+    this.onStart = null;
+    
+    // DOM elements
+    this.elements = {
+      list: null
+    };
+  }
+  
+  init() {
+    this.elements.list = document.getElementById('lessonList');
+    this.load();
+    
+    this.setupEventListeners();
+    console.log('Lesson Manager initialized');
+  }
+  
+  setupEventListeners() {
+    if (this.elements.list) {
+      // Start a stage by clicking its card
+      this.elements.list.addEventListener('click', (e) => {
+        const card = e.target.closest('[data-stage]');
+        if (card && this.isUnlocked(card.dataset.stage) && this.onStart) {
+          this.onStart(card.dataset.stage);
+        }
+      });
+    }
+  }
+  
+  createProgress() {
+    return {
+      version: this.version,
+      stages: {} // id -> { passed, attempts, bestWpm, bestAccuracy }
+    };
+  }
+  
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (stored && stored.version === this.version) {
+        this.progress = stored;
+      }
+    } catch (error) {
+      console.warn('Failed to read lesson progress:', error);
+    }
+  }
+  
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.progress));
+    } catch (error) {
+      console.warn('Failed to save lesson progress:', error);
+    }
+  }
+  
+  reset() {
+    this.progress = this.createProgress();
+    this.save();
+    this.render();
+  }
+  
+  getStage(id) {
+    return this.stages.find(stage => stage.id === id) || null;
+  }
+  
+  getStageProgress(id) {
+    return this.progress.stages[id] || { passed: false, attempts: 0, bestWpm: 0, bestAccuracy: 0 };
+  }
+  
+  isUnlocked(id) {
+    // The first stage is always open; every other one opens once the stage before it is passed
+    const index = this.stages.findIndex(stage => stage.id === id);
+    if (index < 0) return false;
+    
+    return index === 0 || this.getStageProgress(this.stages[index - 1].id).passed;
+  }
+  
+  getKeys(id) {
+    // Everything learned up to and including this stage
+    const index = this.stages.findIndex(stage => stage.id === id);
+    return this.stages.slice(0, index + 1).map(stage => stage.focus).join('');
+  }
+  
+  generateDrill(id) {
+    const stage = this.getStage(id);
+    if (!stage) {
+      throw new Error(`Unknown lesson stage: ${id}`);
+    }
+    
+    const random = new SeededRandom(SeededRandom.createSeed());
+    const keys = this.getKeys(id);
+    const letters = [...keys].filter(char => /[a-z]/.test(char));
+    const focusLetters = [...stage.focus].filter(char => /[a-z]/.test(char));
+    const focusSymbols = [...stage.focus].filter(char => !/[a-z]/.test(char));
+    const realWords = this.getWordPool().filter(word => [...word].every(char => letters.includes(char)) &&
+      (focusLetters.length === 0 || [...word].some(char => focusLetters.includes(char))));
+    
+    // Stages without new letters lean more on runs of their new keys
+    const focusRunChance = focusLetters.length > 0 ? this.drill.focusRunChance : this.drill.focusRunChance * 2;
+    const words = [];
+    
+    while (words.length < this.drill.words) {
+      if (random.next() < focusRunChance) {
+        words.push(this.createFocusRun(stage.focus, random));
+        continue;
+      }
+      
+      let word = realWords.length > 0 && random.next() < 0.5
+        ? random.pick(realWords)
+        : this.createPseudoWord(letters, focusLetters, random);
+      
+      // Symbols and digits are practised attached to a word, the way they appear in real text
+      const symbol = random.pick(focusSymbols);
+      if (symbol && !/\d/.test(symbol) && random.next() < this.drill.symbolChance) {
+        word = this.attachSymbol(word, symbol);
+      }
+      
+      words.push(word);
+    }
+    
+    return words.join(' ');
+  }
+  
+  createFocusRun(focus, random) {
+    const length = 2 + random.nextInt(3);
+    let run = '';
+    for (let i = 0; i < length; i++) {
+      run += random.pick([...focus]);
+    }
+    return run;
+  }
+  
+  createPseudoWord(letters, focusLetters, random) {
+    const length = this.drill.minWordLength + random.nextInt(this.drill.maxWordLength - this.drill.minWordLength + 1);
+    const chars = [];
+    for (let i = 0; i < length; i++) {
+      chars.push(random.pick(letters));
+    }
+    
+    // Make sure each made-up word exercises at least one new key
+    if (focusLetters.length > 0 && !chars.some(char => focusLetters.includes(char))) {
+      chars[random.nextInt(length)] = random.pick(focusLetters);
+    }
+    
+    return chars.join('');
+  }
+  
+  attachSymbol(word, symbol) {
+    // A closing bracket or quote is practised together with its opener
+    const pair = Object.entries(this.drill.pairs).find(([open, close]) => open === symbol || close === symbol);
+    const opener = pair ? pair[0] : null;
+    
+    if (opener) {
+      return opener + word + this.drill.pairs[opener];
+    }
+    
+    return this.drill.trailing.includes(symbol) ? word + symbol : symbol + word;
+  }
+  
+  getWordPool() {
+    const pool = new Set();
+    
+    if (this.contentPacks) {
+      this.contentPacks.getDifficulties().forEach(({ id }) => {
+        const tier = this.contentPacks.getDifficulty(id);
+        [...tier.words, ...tier.sentences].forEach(text => {
+          (text.toLowerCase().match(/[a-z]+/g) || []).forEach(word => pool.add(word));
+        });
+      });
+    }
+    
+    return Array.from(pool).filter(word => word.length >= this.drill.minWordLength);
+  }
+  
+  meetsCriteria(stage, results) {
+    return results.wpm >= stage.pass.wpm && results.accuracy >= stage.pass.accuracy;
+  }
+  
+  recordAttempt(id, results) {
+    const stage = this.getStage(id);
+    if (!stage) return null;
+    
+    const progress = this.getStageProgress(id);
+    const passed = this.meetsCriteria(stage, results);
+    const wasPassed = progress.passed;
+    
+    this.progress.stages[id] = {
+      passed: progress.passed || passed,
+      attempts: progress.attempts + 1,
+      bestWpm: Math.max(progress.bestWpm, results.wpm),
+      bestAccuracy: Math.max(progress.bestAccuracy, results.accuracy)
+    };
+    this.save();
+    this.render();
+    
+    // Passing for the first time opens the next stage
+    const index = this.stages.indexOf(stage);
+    const nextStage = this.stages[index + 1] || null;
+    
+    return {
+      stage: stage,
+      passed: passed,
+      unlocked: passed && !wasPassed ? nextStage : null
+    };
+  }
+  
+  render() {
+    if (!this.elements.list) return;
+    
+    this.elements.list.textContent = '';
+    
+    this.stages.forEach((stage, index) => {
+      const progress = this.getStageProgress(stage.id);
+      const unlocked = this.isUnlocked(stage.id);
+      
+      const card = document.createElement('button');
+      card.className = 'lesson-card';
+      card.classList.toggle('locked', !unlocked);
+      card.classList.toggle('passed', progress.passed);
+      card.dataset.stage = stage.id;
+      card.disabled = !unlocked;
+      
+      const title = document.createElement('div');
+      title.className = 'lesson-title';
+      title.textContent = `${index + 1}. ${stage.title}`;
+      
+      const description = document.createElement('div');
+      description.className = 'lesson-description';
+      description.textContent = stage.description;
+      
+      const keys = document.createElement('div');
+      keys.className = 'lesson-keys';
+      keys.textContent = stage.focus.split('').join(' ');
+      
+      const status = document.createElement('div');
+      status.className = 'lesson-status';
+      status.textContent = this.describeStatus(stage, progress, unlocked);
+      
+      card.append(title, description, keys, status);
+      this.elements.list.appendChild(card);
+    });
+  }
+  
+  describeStatus(stage, progress, unlocked) {
+    const target = `Pass: ${stage.pass.wpm} WPM at ${stage.pass.accuracy}%`;
+    
+    if (!unlocked) return `Locked - ${target}`;
+    if (progress.attempts === 0) return target;
+    
+    const best = `Best ${Math.round(progress.bestWpm)} WPM, ${Math.round(progress.bestAccuracy)}%`;
+    return progress.passed ? `Passed - ${best}` : `${target} - ${best}`;
+  }
+}
\ No newline at end of file
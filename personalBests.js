@@ -0,0 +1,103 @@
+/**
+ * Personal Bests for Pac-Man Typing Test
+ * Tracks the best WPM for every combination of mode, difficulty, language, test length, error mode and text options
+ */
+
+class PersonalBests {
+  constructor() {
+    this.storageKey = 'pacmanTyping.bests';
+    this.version = 1;
+    
+    // Saved bests, keyed by configuration
+    this.data = this.createData();
+  }
+  
+  init() {
+    this.load();
+    
+    console.log(`Personal Bests initialized with ${Object.keys(this.data.bests).length} record(s)`);
+  }
+  
+  createData() {
+    return {
+      version: this.version,
+      bests: {} // config key -> { wpm, accuracy, timestamp }
+    };
+  }
+  
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (stored && stored.version === this.version) {
+        this.data = stored;
+      }
+    } catch (error) {
+      console.warn('Failed to read personal bests:', error);
+    }
+  }
+  
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (error) {
+      console.warn('Failed to save personal bests:', error);
+    }
+  }
+  
+  reset() {
+    this.data = this.createData();
+    this.save();
+  }
+  
+  getDuration(config) {
+    // Timed tests are compared by minutes, fixed-length tests by their size
+    switch (config.lengthMode) {
+      case 'words':
+        return `${config.wordCount}w`;
+      case 'chars':
+        return `${config.charCount}c`;
+      default:
+        return `${config.time}m`;
+    }
+  }
+  
+  getKey(config, textOptions = {}) {
+    // Custom runs only compete with the same text; the language only changes the text in code mode
+    const source = config.mode === 'custom' ? SeededRandom.hashSeed(config.customText || '').toString(36) : config.difficulty;
+    const language = config.mode === 'code' ? config.language : '-';
+    
+    // Only options that shape the text in this mode, as reported with the results
+    const options = Object.keys(textOptions).filter(option => textOptions[option]).join('+') || '-';
+    
+    return [config.mode, source, language, this.getDuration(config), config.errorMode, options].join('|');
+  }
+  
+  get(config, textOptions) {
+    return this.data.bests[this.getKey(config, textOptions)] || null;
+  }
+  
+  record(config, results) {
+    // Compares a finished test with the stored best and keeps it if it is faster
+    const key = this.getKey(config, results.textOptions);
+    const previous = this.data.bests[key] || null;
+    const isRecord = !previous || results.wpm > previous.wpm;
+    
+    if (isRecord) {
+      this.data.bests[key] = {
+        wpm: results.wpm,
+        accuracy: results.accuracy,
+        timestamp: Date.now()
+      };
+      this.save();
+    }
+    
+    return {
+      key: key,
+      previous: previous,
+      best: this.data.bests[key],
+      isRecord: isRecord,
+      isFirst: !previous,
+      delta: previous ? results.wpm - previous.wpm : 0
+    };
+  }
+}
\ No newline at end of file
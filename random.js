@@ -0,0 +1,49 @@
+/**
+ * Seeded Random for Pac-Man Typing Test
+ * Deterministic random number generator so a seed always produces the same test text
+ */
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = String(seed);
+    this.stateValue = SeededRandom.hashSeed(this.seed);
+  }
+  
+  static createSeed() {
+    // Short, easy to share seed made of letters and digits
+    return Math.floor(Math.random() * 0x7fffffff).toString(36).toUpperCase();
+  }
+  
+  static hashSeed(seed) {
+    // FNV-1a hash turns any seed string into a 32-bit starting state
+    let hash = 0x811c9dc5;
+    
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return hash >>> 0;
+  }
+  
+  next() {
+    // Mulberry32: returns a float in [0, 1) like Math.random()
+    this.stateValue = (this.stateValue + 0x6d2b79f5) >>> 0;
+    let t = this.stateValue;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+  
+  pick(items) {
+    return items[this.nextInt(items.length)];
+  }
+  
+  getSeed() {
+    return this.seed;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Replay Player for Pac-Man Typing Test
+ * Re-runs a finished test from its keystroke log at real speed or faster
+ */
+
+class ReplayPlayer {
+  constructor() {
+    // Recording being played back
+    this.recording = {
+      text: '',
+      tokens: null, // Syntax token types for code passages
+      keystrokes: [],
+      duration: 0
+    };
+    
+    // Playback state
+    this.state = {
+      isPlaying: false,
+      speed: 1,
+      elapsed: 0,
+      keystrokeIndex: 0,
+      typedText: '',
+      position: 0
+    };
+    
+    // Animation loop
+    this.animationId = null;
+    this.lastFrameTime = 0;
+    
+    // Callbacks
+    this.onFrame = null;
+    this.onStateChange = null;
+  }
+  
+  load(recording) {
+    this.stop();
+    this.recording = {
+      text: recording.text || '',
+      tokens: recording.tokens || null,
+      keystrokes: recording.keystrokes || [],
+      duration: recording.duration || 0
+    };
+    this.rewind();
+    
+    console.log(`Replay loaded: ${this.recording.keystrokes.length} keystrokes`);
+  }
+  
+  rewind() {
+    this.state.elapsed = 0;
+    this.state.keystrokeIndex = 0;
+    this.state.typedText = '';
+    this.state.position = 0;
+    this.emitFrame();
+  }
+  
+  play() {
+    if (this.state.isPlaying || this.recording.keystrokes.length === 0) return;
+    
+    // Start over when the previous playback reached the end
+    if (this.isFinished()) {
+      this.rewind();
+    }
+    
+    this.state.isPlaying = true;
+    this.lastFrameTime = performance.now();
+    this.animationId = requestAnimationFrame((now) => this.tick(now));
+    this.emitStateChange();
+  }
+  
+  pause() {
+    if (!this.state.isPlaying) return;
+    
+    this.state.isPlaying = false;
+    this.cancelFrame();
+    this.emitStateChange();
+  }
+  
+  toggle() {
+    if (this.state.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+  
+  restart() {
+    this.pause();
+    this.rewind();
+    this.play();
+  }
+  
+  stop() {
+    this.state.isPlaying = false;
+    this.cancelFrame();
+  }
+  
+  setSpeed(speed) {
+    this.state.speed = Math.max(0.25, speed || 1);
+  }
+  
+  cancelFrame() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+  
+  tick(now) {
+    if (!this.state.isPlaying) return;
+    
+    this.state.elapsed += (now - this.lastFrameTime) * this.state.speed;
+    this.lastFrameTime = now;
+    
+    // Apply every keystroke that happened up to the current playback time
+    const keystrokes = this.recording.keystrokes;
+    let changed = false;
+    
+    while (this.state.keystrokeIndex < keystrokes.length &&
+           keystrokes[this.state.keystrokeIndex].time <= this.state.elapsed) {
+      this.applyKeystroke(keystrokes[this.state.keystrokeIndex]);
+      this.state.keystrokeIndex++;
+      changed = true;
+    }
+    
+    if (changed) {
+      this.emitFrame();
+    }
+    
+    if (this.isFinished()) {
+      this.state.isPlaying = false;
+      this.animationId = null;
+      this.emitStateChange();
+      return;
+    }
+    
+    this.animationId = requestAnimationFrame((time) => this.tick(time));
+  }
+  
+  applyKeystroke(keystroke) {
+    // Blocked keystrokes never reached the typed text
+    if (keystroke.blocked) return;
+    
+    if (keystroke.type === 'backspace') {
+      this.state.typedText = this.state.typedText.substring(0, keystroke.position);
+    } else {
+      this.state.typedText = this.state.typedText.substring(0, keystroke.position) + keystroke.typed;
+    }
+    
+    this.state.position = this.state.typedText.length;
+  }
+  
+  emitFrame() {
+    if (this.onFrame) {
+      this.onFrame(this.state.typedText, this.state.position);
+    }
+  }
+  
+  emitStateChange() {
+    if (this.onStateChange) {
+      this.onStateChange(this.getState());
+    }
+  }
+  
+  isFinished() {
+    return this.state.keystrokeIndex >= this.recording.keystrokes.length;
+  }
+  
+  getState() {
+    return {
+      isPlaying: this.state.isPlaying,
+      speed: this.state.speed,
+      progress: this.recording.duration > 0
+        ? Math.min(100, (this.state.elapsed / this.recording.duration) * 100)
+        : 0
+    };
+  }
+  
+  getText() {
+    return this.recording.text;
+  }
+  
+  getTokens() {
+    return this.recording.tokens;
+  }
+}
\ No newline at end of file
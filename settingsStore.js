@@ -0,0 +1,146 @@
+/**
+ * Settings Store for Pac-Man Typing Test
+ * Saves the home screen settings to localStorage, validates them on load and migrates older versions
+ */
+
+class SettingsStore {
+  constructor() {
+    this.storageKey = 'pacmanTyping.settings';
+    this.version = 1;
+    
+    // What each saved setting may hold; anything else falls back to its default
+    this.schema = {
+      difficulty: { type: 'id' }, // Tiers come from content packs, so only the shape is checked
+      mode: { type: 'enum', values: ['words', 'adaptive', 'code', 'custom'] },
+      language: { type: 'id' },
+      time: { type: 'enum', values: [1, 3, 5, 10, 20, 30] },
+      lengthMode: { type: 'enum', values: ['time', 'words', 'chars'] },
+      wordCount: { type: 'enum', values: [10, 25, 50, 100] },
+      charCount: { type: 'enum', values: [100, 250, 500, 1000] },
+      errorMode: { type: 'enum', values: ['free', 'correct', 'strict'] },
+      startMode: { type: 'enum', values: ['immediate', 'first-key', 'countdown'] },
+      codeOptions: { type: 'flags', keys: ['autoIndent', 'tabMatchesSpaces', 'autoPairBrackets'] },
+      textOptions: { type: 'flags', keys: ['capitalize', 'punctuation', 'numbers', 'symbols'] },
+      customSplit: { type: 'enum', values: [0, 50, 100, 200] },
+      soundEnabled: { type: 'boolean' },
+      musicEnabled: { type: 'boolean' }
+    };
+    
+    // Upgrades a stored settings object from the version in the key to the next one
+    this.migrations = {};
+  }
+  
+  load(defaults) {
+    let stored = null;
+    
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+    } catch (error) {
+      console.warn('Failed to read saved settings:', error);
+    }
+    
+    if (!stored || typeof stored !== 'object' || typeof stored.settings !== 'object') {
+      return this.clone(defaults);
+    }
+    
+    const settings = this.migrate(stored.settings, stored.version);
+    if (!settings) {
+      return this.clone(defaults);
+    }
+    
+    return this.validate(settings, defaults);
+  }
+  
+  migrate(settings, fromVersion) {
+    let version = fromVersion;
+    let migrated = settings;
+    
+    if (typeof version !== 'number' || version > this.version) {
+      console.warn(`Ignoring saved settings with unknown version ${version}`);
+      return null;
+    }
+    
+    while (version < this.version) {
+      const migration = this.migrations[version];
+      if (!migration) {
+        console.warn(`No migration for saved settings version ${version}`);
+        return null;
+      }
+      
+      migrated = migration(migrated);
+      version++;
+    }
+    
+    return migrated;
+  }
+  
+  validate(settings, defaults) {
+    // Starts from the defaults and only takes the saved values that fit the schema
+    const validated = this.clone(defaults);
+    
+    Object.entries(this.schema).forEach(([key, rule]) => {
+      if (settings[key] === undefined) return;
+      
+      const value = this.validateValue(settings[key], rule, defaults[key]);
+      if (value === undefined) {
+        console.warn(`Ignoring invalid saved setting ${key}:`, settings[key]);
+        return;
+      }
+      
+      validated[key] = value;
+    });
+    
+    return validated;
+  }
+  
+  validateValue(value, rule, fallback) {
+    switch (rule.type) {
+      case 'enum':
+        return rule.values.includes(value) ? value : undefined;
+      case 'id':
+        return typeof value === 'string' && /^[a-z0-9][a-z0-9_-]*$/i.test(value) ? value : undefined;
+      case 'boolean':
+        return typeof value === 'boolean' ? value : undefined;
+      case 'flags': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+        
+        // Unknown flags are dropped and missing ones keep their default
+        const flags = { ...fallback };
+        rule.keys.forEach(flag => {
+          if (typeof value[flag] === 'boolean') {
+            flags[flag] = value[flag];
+          }
+        });
+        return flags;
+      }
+      default:
+        return undefined;
+    }
+  }
+  
+  save(settings) {
+    // Only settings in the schema are kept; seeds and custom text stay per session
+    const saved = {};
+    Object.keys(this.schema).forEach(key => {
+      saved[key] = settings[key];
+    });
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ version: this.version, settings: saved }));
+    } catch (error) {
+      console.warn('Failed to save settings:', error);
+    }
+  }
+  
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('Failed to clear saved settings:', error);
+    }
+  }
+  
+  clone(settings) {
+    return JSON.parse(JSON.stringify(settings));
+  }
+}
\ No newline at end of file
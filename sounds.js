@@ -53,6 +53,7 @@ class SoundManager {
       error: 'sounds/error.mp3',
       start: 'sounds/game-start.mp3',
       complete: 'sounds/level-complete.mp3',
+      record: 'sounds/new-record.mp3',
       backgroundMusic: 'sounds/pacman-theme.mp3'
     };
     
@@ -156,7 +157,8 @@ class SoundManager {
       typing: { frequency: 800, duration: 0.1 },
       error: { frequency: 200, duration: 0.3 },
       start: { frequency: 600, duration: 0.5 },
-      complete: { frequency: 1000, duration: 0.8 }
+      complete: { frequency: 1000, duration: 0.8 },
+      record: { notes: [523, 659, 784, 1047], duration: 1.0 } // Rising fanfare for a new personal best
     };
     
     const config = beepSounds[type] || beepSounds.typing;
@@ -166,20 +168,27 @@ class SoundManager {
         if (!this.soundEnabled || !this.audioContext) return;
         
         try {
-          const oscillator = this.audioContext.createOscillator();
-          const gainNode = this.audioContext.createGain();
+          // Sounds with several notes play them one after another over the duration
+          const notes = config.notes || [config.frequency];
+          const noteDuration = config.duration / notes.length;
           
-          oscillator.connect(gainNode);
-          gainNode.connect(this.audioContext.destination);
-          
-          oscillator.frequency.setValueAtTime(config.frequency, this.audioContext.currentTime);
-          oscillator.type = 'square';
-          
-          gainNode.gain.setValueAtTime(0.1 * this.masterVolume, this.audioContext.currentTime);
-          gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + config.duration);
-          
-          oscillator.start(this.audioContext.currentTime);
-          oscillator.stop(this.audioContext.currentTime + config.duration);
+          notes.forEach((frequency, index) => {
+            const start = this.audioContext.currentTime + index * noteDuration;
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(this.audioContext.destination);
+            
+            oscillator.frequency.setValueAtTime(frequency, start);
+            oscillator.type = 'square';
+            
+            gainNode.gain.setValueAtTime(0.1 * this.masterVolume, start);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, start + noteDuration);
+            
+            oscillator.start(start);
+            oscillator.stop(start + noteDuration);
+          });
         } catch (error) {
           console.warn('Failed to play beep sound:', error);
         }
@@ -0,0 +1,110 @@
+/**
+ * Syntax Highlighter for Pac-Man Typing Test
+ * Lightweight tokenizer that tags keywords, strings, comments and numbers in code passages
+ */
+
+class SyntaxHighlighter {
+  constructor() {
+    // Keyword lookups are built once per rule set
+    this.keywordSets = new WeakMap();
+    
+    this.wordPattern = /[A-Za-z_$][\w$]*/y;
+    this.numberPattern = /(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+  }
+  
+  tokenize(text, rules) {
+    // Returns one token type (or null) per character of the text, using a language's syntax rules
+    if (!rules) return null;
+    
+    const keywords = this.getKeywordSet(rules);
+    const tokens = new Array(text.length).fill(null);
+    let i = 0;
+    
+    while (i < text.length) {
+      const char = text[i];
+      let end = i;
+      let type = null;
+      
+      if (rules.lineComment && text.startsWith(rules.lineComment, i)) {
+        end = this.findLineEnd(text, i);
+        type = 'comment';
+      } else if (rules.blockComment && text.startsWith(rules.blockComment[0], i)) {
+        const close = text.indexOf(rules.blockComment[1], i + rules.blockComment[0].length);
+        end = close < 0 ? text.length : close + rules.blockComment[1].length;
+        type = 'comment';
+      } else if (rules.directive && char === rules.directive && this.isLineStart(text, i)) {
+        end = this.matchWord(text, i + 1);
+        type = 'keyword';
+      } else if (rules.strings.some(quote => text.startsWith(quote, i))) {
+        const quote = rules.strings.find(q => text.startsWith(q, i));
+        end = this.findStringEnd(text, i, quote);
+        type = 'string';
+      } else if (/\d/.test(char) && !/[\w$]/.test(text[i - 1] || '')) {
+        this.numberPattern.lastIndex = i;
+        this.numberPattern.test(text);
+        end = this.numberPattern.lastIndex;
+        type = 'number';
+      } else if (/[A-Za-z_$]/.test(char)) {
+        end = this.matchWord(text, i);
+        const word = text.substring(i, end);
+        type = keywords.has(rules.caseInsensitive ? word.toLowerCase() : word) ? 'keyword' : null;
+      }
+      
+      if (end <= i) {
+        i++;
+        continue;
+      }
+      
+      if (type) {
+        tokens.fill(type, i, end);
+      }
+      i = end;
+    }
+    
+    return tokens;
+  }
+  
+  getKeywordSet(rules) {
+    if (!this.keywordSets.has(rules)) {
+      const keywords = rules.caseInsensitive ? rules.keywords.map(keyword => keyword.toLowerCase()) : rules.keywords;
+      this.keywordSets.set(rules, new Set(keywords));
+    }
+    return this.keywordSets.get(rules);
+  }
+  
+  matchWord(text, index) {
+    this.wordPattern.lastIndex = index;
+    return this.wordPattern.test(text) ? this.wordPattern.lastIndex : index;
+  }
+  
+  findLineEnd(text, index) {
+    const end = text.indexOf('\n', index);
+    return end < 0 ? text.length : end;
+  }
+  
+  findStringEnd(text, index, quote) {
+    let i = index + quote.length;
+    
+    while (i < text.length) {
+      if (text[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (text.startsWith(quote, i)) {
+        return i + quote.length;
+      }
+      // Only template literals and triple-quoted strings span lines
+      if (text[i] === '\n' && quote.length === 1 && quote !== '`') {
+        return i;
+      }
+      i++;
+    }
+    
+    return text.length;
+  }
+  
+  isLineStart(text, index) {
+    const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+    return text.substring(lineStart, index).trim() === '';
+  }
+}
\ No newline at end of file
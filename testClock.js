@@ -0,0 +1,120 @@
+/**
+ * Test Clock for Pac-Man Typing Test
+ * Measures active test time on performance.now(), leaves out pauses and fires at the exact deadline
+ */
+
+class TestClock {
+  constructor() {
+    // Clock state, all times in milliseconds from performance.now()
+    this.state = {
+      startedAt: null,
+      stoppedAt: null,
+      pausedAt: null,
+      duration: null, // Active time allowed, null counts up without a deadline
+      pauses: [] // { at: active ms when paused, length: ms spent paused }
+    };
+    
+    // Deadline timer
+    this.deadlineTimer = null;
+    
+    // Callbacks
+    this.onDeadline = null;
+  }
+  
+  reset(duration = null) {
+    this.clearDeadline();
+    this.state.startedAt = null;
+    this.state.stoppedAt = null;
+    this.state.pausedAt = null;
+    this.state.duration = duration;
+    this.state.pauses = [];
+  }
+  
+  start() {
+    this.state.startedAt = performance.now();
+    this.state.stoppedAt = null;
+    this.state.pausedAt = null;
+    this.scheduleDeadline();
+  }
+  
+  pause() {
+    if (!this.isRunning()) return;
+    
+    this.state.pausedAt = performance.now();
+    this.clearDeadline();
+  }
+  
+  resume() {
+    if (this.state.pausedAt === null || this.state.stoppedAt !== null) return;
+    
+    this.state.pauses.push({
+      at: this.getElapsed(),
+      length: performance.now() - this.state.pausedAt
+    });
+    this.state.pausedAt = null;
+    this.scheduleDeadline();
+  }
+  
+  stop() {
+    if (this.state.startedAt === null || this.state.stoppedAt !== null) return;
+    
+    // Stopping from the pause screen ends the test where it was paused
+    this.state.stoppedAt = this.state.pausedAt ?? performance.now();
+    this.clearDeadline();
+  }
+  
+  isRunning() {
+    return this.state.startedAt !== null && this.state.stoppedAt === null && this.state.pausedAt === null;
+  }
+  
+  getElapsed() {
+    if (this.state.startedAt === null) return 0;
+    
+    // A pause in progress counts up to the moment it started
+    const end = this.state.stoppedAt ?? this.state.pausedAt ?? performance.now();
+    const paused = this.state.pauses.reduce((sum, pause) => sum + pause.length, 0);
+    const elapsed = Math.max(0, end - this.state.startedAt - paused);
+    
+    // Timed tests never run past their deadline, however late the last callback fired
+    return this.state.duration === null ? elapsed : Math.min(elapsed, this.state.duration);
+  }
+  
+  getRemaining() {
+    if (this.state.duration === null) return 0;
+    return Math.max(0, this.state.duration - this.getElapsed());
+  }
+  
+  hasExpired() {
+    return this.state.duration !== null && this.state.startedAt !== null && this.getRemaining() <= 0;
+  }
+  
+  getPauses() {
+    return [...this.state.pauses];
+  }
+  
+  scheduleDeadline() {
+    this.clearDeadline();
+    if (this.state.duration === null || !this.isRunning()) return;
+    
+    // Timers can fire early, so check the clock again and re-arm for whatever is left
+    this.deadlineTimer = setTimeout(() => {
+      this.deadlineTimer = null;
+      
+      if (this.hasExpired()) {
+        this.stop();
+        if (this.onDeadline) {
+          this.onDeadline();
+        }
+      } else {
+        this.scheduleDeadline();
+      }
+    }, this.getRemaining());
+  }
+  
+  clearDeadline() {
+    if (this.deadlineTimer) {
+      clearTimeout(this.deadlineTimer);
+      this.deadlineTimer = null;
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Text File for Pac-Man Typing Test
+ * Reads a file picked in the browser as text; callers check its name and size first
+ */
+
+class TextFile {
+  static read(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      
+      reader.addEventListener('load', () => {
+        resolve(reader.result);
+      });
+      
+      reader.addEventListener('error', () => {
+        reject(new Error(`Failed to read file: ${file.name}`));
+      });
+      
+      reader.readAsText(file);
+    });
+  }
+}
\ No newline at end of file
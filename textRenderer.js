@@ -0,0 +1,142 @@
+/**
+ * Text Renderer for Pac-Man Typing Test
+ * Keeps one persistent span per character and only touches the spans whose state changed
+ */
+
+class TextRenderer {
+  constructor(container) {
+    this.container = container;
+    
+    // What is currently on screen
+    this.text = '';
+    this.typedText = '';
+    this.typedLength = 0;
+    this.startIndex = 0;
+    this.spans = []; // spans[i] shows text[startIndex + i]
+    this.tokens = null; // Optional syntax token type per character
+  }
+  
+  render(text, typedText, typedLength, startIndex = 0, tokens = null) {
+    if (!this.container) return;
+    
+    if (!this.canReuse(text, startIndex) || tokens !== this.tokens) {
+      this.tokens = tokens;
+      this.rebuild(text, typedText, typedLength, startIndex);
+      return;
+    }
+    
+    // Streamed text only ever grows at the end and is trimmed from the front
+    if (text.length > this.text.length) {
+      this.appendSpans(text, this.text.length, text.length);
+    }
+    if (startIndex > this.startIndex) {
+      this.trimFront(startIndex);
+    }
+    this.text = text;
+    
+    // Only characters between the old and new cursor can change state
+    let from = Math.min(this.typedLength, typedLength);
+    while (from > startIndex && this.typedText[from - 1] !== typedText[from - 1]) {
+      from--;
+    }
+    const to = Math.max(this.typedLength, typedLength);
+    
+    this.typedText = typedText;
+    this.typedLength = typedLength;
+    
+    for (let i = Math.max(from, startIndex); i <= to && i < text.length; i++) {
+      this.updateSpan(i);
+    }
+  }
+  
+  canReuse(text, startIndex) {
+    if (this.spans.length === 0 || startIndex < this.startIndex) return false;
+    if (text === this.text) return true;
+    
+    return text.length > this.text.length && text.startsWith(this.text);
+  }
+  
+  rebuild(text, typedText, typedLength, startIndex) {
+    this.text = text;
+    this.typedText = typedText;
+    this.typedLength = typedLength;
+    this.startIndex = startIndex;
+    this.spans = [];
+    
+    this.container.textContent = '';
+    this.appendSpans(text, startIndex, text.length);
+  }
+  
+  appendSpans(text, from, to) {
+    const fragment = document.createDocumentFragment();
+    
+    for (let i = from; i < to; i++) {
+      const span = document.createElement('span');
+      const char = text[i];
+      
+      // Handle special characters for display
+      if (char === '\n') {
+        span.appendChild(document.createElement('br'));
+      } else if (char === ' ') {
+        span.textContent = '\u00A0';
+      } else if (char === '\t') {
+        span.textContent = '\u00A0'.repeat(4);
+      } else {
+        span.textContent = char;
+      }
+      
+      span.className = this.getClassName(i, char);
+      this.spans.push(span);
+      fragment.appendChild(span);
+    }
+    
+    this.container.appendChild(fragment);
+  }
+  
+  trimFront(startIndex) {
+    const count = Math.min(startIndex - this.startIndex, this.spans.length);
+    
+    this.spans.splice(0, count).forEach(span => span.remove());
+    this.startIndex = startIndex;
+  }
+  
+  updateSpan(index) {
+    const span = this.spans[index - this.startIndex];
+    if (!span) return;
+    
+    const className = this.getClassName(index, this.text[index]);
+    if (span.className !== className) {
+      span.className = className;
+    }
+  }
+  
+  getClassName(index, char) {
+    let className = 'untyped';
+    if (index < this.typedLength) {
+      className = this.typedText[index] === char ? 'correct' : 'incorrect';
+    } else if (index === this.typedLength) {
+      className = 'current';
+    }
+    
+    // Syntax colouring sits under the correctness colouring
+    const token = this.tokens ? this.tokens[index] : null;
+    return token ? `${className} tok tok-${token}` : className;
+  }
+  
+  getCursorElement() {
+    return this.spans[this.typedLength - this.startIndex] || null;
+  }
+  
+  clear() {
+    this.text = '';
+    this.typedText = '';
+    this.typedLength = 0;
+    this.startIndex = 0;
+    this.spans = [];
+    this.tokens = null;
+    
+    if (this.container) {
+      this.container.textContent = '';
+    }
+  }
+}
\ No newline at end of file
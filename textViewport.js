@@ -0,0 +1,99 @@
+/**
+ * Text Viewport for Pac-Man Typing Test
+ * Shows a few lines of the passage and scrolls the text track so the caret line stays in view
+ */
+
+class TextViewport {
+  constructor(viewport, track) {
+    this.viewport = viewport;
+    this.track = track;
+    
+    // Visible lines by window height
+    this.config = {
+      minLines: 3,
+      maxLines: 5,
+      shortWindow: 720, // px, windows shorter than this show minLines
+      tallWindow: 1000, // px, windows taller than this show maxLines
+      linesAbove: 1 // Typed lines kept visible above the caret line
+    };
+    
+    // Layout state
+    this.lines = 4;
+    this.lineHeight = 0;
+    this.offset = 0;
+  }
+  
+  measure() {
+    if (!this.viewport || !this.track) return;
+    
+    const windowHeight = window.innerHeight;
+    if (windowHeight < this.config.shortWindow) {
+      this.lines = this.config.minLines;
+    } else if (windowHeight > this.config.tallWindow) {
+      this.lines = this.config.maxLines;
+    } else {
+      this.lines = Math.round((this.config.minLines + this.config.maxLines) / 2);
+    }
+    
+    // Line height comes from the rendered font so the window always fits whole lines
+    const trackStyle = getComputedStyle(this.track);
+    const fontSize = parseFloat(trackStyle.fontSize) || 16;
+    this.lineHeight = trackStyle.lineHeight.endsWith('px')
+      ? parseFloat(trackStyle.lineHeight)
+      : (parseFloat(trackStyle.lineHeight) || 1.6) * fontSize;
+    
+    const viewportStyle = getComputedStyle(this.viewport);
+    const chrome = ['paddingTop', 'paddingBottom', 'borderTopWidth', 'borderBottomWidth']
+      .reduce((sum, property) => sum + (parseFloat(viewportStyle[property]) || 0), 0);
+    
+    this.viewport.style.height = `${this.lines * this.lineHeight + chrome}px`;
+  }
+  
+  update(cursorElement, instant = false) {
+    if (!this.track || !cursorElement || this.lineHeight === 0) return;
+    
+    // Scroll whole lines so the caret sits just below the typed context
+    const lineTop = this.getLineTop(cursorElement);
+    const offset = Math.max(0, lineTop - this.lineHeight * this.config.linesAbove);
+    
+    if (offset !== this.offset || instant) {
+      this.offset = offset;
+      this.setOffset(offset, instant);
+    }
+  }
+  
+  getLineTop(element) {
+    // A newline span only holds a <br>, which can report no box of its own
+    if (element.offsetHeight === 0 && element.previousElementSibling) {
+      return element.previousElementSibling.offsetTop;
+    }
+    
+    return element.offsetTop;
+  }
+  
+  findLineStart(spans, index) {
+    // Walks back to the first span on the same rendered line
+    const target = spans[index];
+    if (!target) return index;
+    
+    const lineTop = this.getLineTop(target);
+    let start = index;
+    while (start > 0 && this.getLineTop(spans[start - 1]) === lineTop) {
+      start--;
+    }
+    
+    return start;
+  }
+  
+  setOffset(offset, instant) {
+    if (instant) {
+      // Skip the slide when the content itself moved, e.g. after trimming old lines
+      this.track.style.transition = 'none';
+      this.track.style.transform = `translateY(${-offset}px)`;
+      void this.track.offsetHeight;
+      this.track.style.transition = '';
+    } else {
+      this.track.style.transform = `translateY(${-offset}px)`;
+    }
+  }
+}
\ No newline at end of file
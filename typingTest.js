@@ -4,89 +4,111 @@
  */
 
 class TypingTestManager {
-  constructor() {
+  constructor(dependencies = {}) {
+    // Word lists and sentences come from the registered content packs, code from the language registry
+    this.contentPacks = dependencies.contentPacks;
+    this.languages = dependencies.languages;
+    
+    // Weak-key weighting for adaptive practice
+    this.adaptive = dependencies.adaptive;
+    
     // Test configuration
     this.config = {
       difficulty: 'normal',
       mode: 'words',
       language: 'javascript',
-      time: 3 // minutes
-    };
-    
-    // Test content data
-    this.contentData = {
-      difficulties: {
-        easy: {
-          words: ["cat", "dog", "run", "fun", "sun", "hat", "bat", "mat", "car", "bar", "toy", "boy", "joy", "day", "way", "say", "may", "ray", "key", "see"],
-          sentences: ["The cat runs fast.", "Dogs like to play.", "Sun is very bright.", "I love to read books.", "Birds fly in the sky."]
-        },
-        normal: {
-          words: ["keyboard", "typing", "practice", "accuracy", "speed", "computer", "pacman", "arcade", "challenge", "improve", "exercise", "rhythm", "finger", "position"],
-          sentences: ["Practice makes perfect typing.", "Arcade games are really fun.", "Typing speed improves with time.", "Focus on accuracy first, then speed."]
-        },
-        hard: {
-          words: ["algorithm", "efficiency", "performance", "optimization", "sophisticated", "implementation", "architecture", "methodology", "comprehensive", "fundamental"],
-          sentences: ["Algorithm efficiency determines program performance.", "Sophisticated implementations require careful optimization.", "Comprehensive testing ensures reliable software architecture."]
-        },
-        expert: {
-          words: ["asynchronous", "polymorphism", "encapsulation", "abstraction", "inheritance", "composition", "instantiation", "serialization", "multithreading", "concurrency"],
-          sentences: ["Asynchronous programming improves application responsiveness.", "Polymorphism enables flexible object-oriented design patterns.", "Encapsulation provides data security and code maintainability."]
-        },
-        advanced: {
-          words: ["metaprogramming", "concurrency", "serialization", "deserialization", "multithreading", "parallelization", "synchronization", "virtualization", "containerization", "orchestration"],
-          sentences: ["Metaprogramming techniques enable dynamic code generation.", "Concurrency management prevents race condition vulnerabilities.", "Containerization simplifies application deployment and scaling."]
-        }
+      time: 3, // minutes
+      lengthMode: 'time', // 'time', 'words' or 'chars'
+      wordCount: 25,
+      charCount: 250,
+      errorMode: 'free', // 'free', 'correct' (must correct each word) or 'strict' (stop on error)
+      seed: '', // Blank picks a new random seed for every test
+      customText: '', // Text for custom mode
+      codeOptions: {
+        autoIndent: true, // Enter also fills in the next line's leading indentation
+        tabMatchesSpaces: true, // Tab types a tab or the spaces up to the language's next indent stop
+        autoPairBrackets: false // Closing brackets fill themselves in once their opener is typed
       },
-      
-      code_snippets: {
-        python: [
-          "def calculate_wpm(chars, time):\n    return (chars / 5) / (time / 60)",
-          "for i in range(10):\n    print(f'Number: {i}')",
-          "class PacMan:\n    def __init__(self, x, y):\n        self.x = x\n        self.y = y",
-          "import pygame\nfrom typing import List, Tuple",
-          "result = [x**2 for x in range(5) if x % 2 == 0]"
-        ],
-        javascript: [
-          "function calculateWPM(chars, time) {\n  return (chars / 5) / (time / 60);\n}",
-          "const pacman = { x: 0, y: 0, direction: 'right' };",
-          "for (let i = 0; i < 10; i++) {\n  console.log(`Number: ${i}`);\n}",
-          "const canvas = document.getElementById('gameCanvas');\nconst ctx = canvas.getContext('2d');",
-          "setTimeout(() => {\n  console.log('Game started!');\n}, 1000);"
-        ],
-        cpp: [
-          "#include <iostream>\n#include <vector>\nusing namespace std;",
-          "class PacMan {\nprivate:\n  int x, y;\npublic:\n  PacMan(int startX, int startY);\n};",
-          "for (int i = 0; i < 10; ++i) {\n  cout << \"Number: \" << i << endl;\n}",
-          "vector<int> scores = {100, 200, 300};\nsort(scores.begin(), scores.end());",
-          "auto lambda = [](int a, int b) { return a + b; };"
-        ],
-        java: [
-          "public class PacMan {\n  private int x, y;\n  public PacMan(int x, int y) {\n    this.x = x; this.y = y;\n  }\n}",
-          "List<Integer> scores = new ArrayList<>();\nscores.add(100);",
-          "for (int i = 0; i < 10; i++) {\n  System.out.println(\"Number: \" + i);\n}",
-          "Map<String, Integer> gameStats = new HashMap<>();",
-          "try {\n  // Game logic here\n} catch (Exception e) {\n  e.printStackTrace();\n}"
-        ]
+      textOptions: {
+        capitalize: false, // Capital letter at the start of each run of words
+        punctuation: false, // Commas inside and a period, "?" or "!" at the end of each run
+        numbers: false, // Numbers mixed in between the words
+        symbols: false // Brackets, ";" and "=" mixed in around the words
       }
     };
     
     // Test state
     this.state = {
       isActive: false,
+      isArmed: false, // Waiting for the first keystroke to start the clock
       isPaused: false,
-      startTime: null,
-      endTime: null,
-      timeRemaining: 0,
+      seed: '',
       currentText: '',
       typedText: '',
       currentPosition: 0,
+      displayStart: 0,
       errors: 0,
+      uncorrectedErrors: 0, // Wrong characters still in the typed text
       totalChars: 0,
-      correctChars: 0
+      correctChars: 0,
+      keystrokes: [],
+      charsPerSecond: [],
+      correctPerSecond: [],
+      errorsPerSecond: [],
+      autoPositions: [], // Positions filled in by the code assists, in typing order
+      snippetTimes: [] // Active ms at which each code snippet was finished
+    };
+    
+    // Syntax token type per character of a code passage
+    this.highlighter = new SyntaxHighlighter();
+    this.syntaxTokens = null;
+    
+    // Bracket pairs in the code passage: closing position -> opening position
+    this.bracketPairs = new Map();
+    this.brackets = { ')': '(', ']': '[', '}': '{' };
+    
+    // Code passages chain snippets: { start, end } of each one in the passage
+    this.snippets = [];
+    this.snippetDeck = []; // Shuffled snippets still to be dealt before any repeats
+    this.lastSnippet = null;
+    this.snippetSeparator = '\n';
+    
+    // Word runs and extras mixed in by the text options
+    this.textDecoration = {
+      minRunWords: 4, // Loose words are grouped into sentence-like runs of this many words...
+      maxRunWords: 10, // ...up to this many
+      commaChance: 0.15, // Per word, when punctuation is on
+      numberChance: 0.12, // Per word, when numbers are on
+      symbolChance: 0.15, // Per word, when symbols are on
+      endings: ['.', '.', '.', '?', '!'],
+      symbols: ['()', '[]', '{}', ';', '='] // Brackets wrap a word, ";" follows it, "=" goes before it
+    };
+    
+    // Each word of decorated text with the options that changed it, in passage order
+    this.decorations = [];
+    
+    // Endless text stream used by timed word tests
+    this.stream = {
+      chunkChars: 500, // Characters generated per refill
+      refillThreshold: 250, // Refill when fewer characters than this remain ahead
+      maxRenderedBehind: 400, // Trim the display once this many typed characters are shown
+      keepBehind: 100 // Typed characters left on screen after a trim
+    };
+    
+    // Seeded generator behind every text choice
+    this.random = null;
+    
+    // Active test time, excluding pauses
+    this.clock = new TestClock();
+    this.clock.onDeadline = () => {
+      if (this.state.isActive) {
+        this.completeTest();
+      }
     };
     
-    // Timer
+    // Display refresh timer; the clock decides when a timed test ends
     this.timer = null;
+    this.refreshInterval = 250; // ms
     
     // Callbacks
     this.onStatsUpdate = null;
@@ -94,16 +116,24 @@ class TypingTestManager {
     this.onCorrectKey = null;
     this.onIncorrectKey = null;
     
+    // Persistent character spans for the passage, scrolled inside a few-line viewport
+    this.renderer = null;
+    this.viewport = null;
+    
     // DOM elements
     this.elements = {
       textDisplay: null,
+      textTrack: null,
       typingInput: null
     };
   }
   
   init() {
     this.elements.textDisplay = document.getElementById('textDisplay');
+    this.elements.textTrack = document.getElementById('textTrack');
     this.elements.typingInput = document.getElementById('typingInput');
+    this.renderer = new TextRenderer(this.elements.textTrack);
+    this.viewport = new TextViewport(this.elements.textDisplay, this.elements.textTrack);
     
     this.setupEventListeners();
     console.log('Typing Test Manager initialized');
@@ -132,58 +162,426 @@ class TypingTestManager {
   generateTestText() {
     let text = '';
     
+    // The same seed always produces the same passage
+    this.state.seed = this.config.seed || SeededRandom.createSeed();
+    this.random = new SeededRandom(this.state.seed);
+    this.decorations = [];
+    
+    if (this.config.mode === 'code') {
+      text = this.generateCodeText();
+    } else if (this.config.mode === 'custom' || this.config.mode === 'lesson') {
+      // Already normalized by the custom text source, or a drill generated by the lesson manager
+      text = this.config.customText || '';
+    } else if (this.isEndless()) {
+      // Start with one chunk; more is appended as the cursor nears the end
+      text = this.generateWordText(this.stream.chunkChars);
+    } else {
+      text = this.generateWordText(this.getTargetChars());
+      
+      // Keep adding text until a word-count test has enough words, or the tier has none left to give
+      while (this.config.lengthMode === 'words' && this.countWords(text) < this.config.wordCount) {
+        const chunk = this.generateWordText(this.getTargetChars());
+        if (this.countWords(chunk) === 0) break;
+        
+        text += ' ' + chunk;
+      }
+    }
+    
+    // Fixed-length tests end exactly at the chosen workload
+    if (this.config.lengthMode === 'words') {
+      text = this.truncateToWords(text, this.config.wordCount);
+    } else if (this.config.lengthMode === 'chars') {
+      text = text.substring(0, this.config.charCount).trimEnd();
+    }
+    
+    this.state.currentText = text;
+    this.bracketPairs = new Map();
+    this.syntaxTokens = null;
+    
     if (this.config.mode === 'code') {
-      // Generate code snippets
-      const snippets = this.contentData.code_snippets[this.config.language] || this.contentData.code_snippets.javascript;
-      text = snippets[Math.floor(Math.random() * snippets.length)];
+      // Count-based tests can cut the last snippet short
+      this.snippets = this.snippets
+        .filter(snippet => snippet.start < text.length)
+        .map(snippet => ({ start: snippet.start, end: Math.min(snippet.end, text.length) }));
+      this.bracketPairs = this.findBracketPairs(text);
+      this.syntaxTokens = [];
+      this.snippets.forEach(snippet => this.addSnippetTokens(text, snippet));
     } else {
-      // Generate words and sentences based on difficulty
-      const difficulty = this.contentData.difficulties[this.config.difficulty] || this.contentData.difficulties.normal;
-      
-      // Mix words and sentences
-      const words = [...difficulty.words];
-      const sentences = [...difficulty.sentences];
-      
-      // Calculate target length based on time and average WPM
-      const targetWPM = 40; // Average typing speed
-      const targetWords = targetWPM * this.config.time;
-      const targetChars = targetWords * 5; // 5 chars per word average
-      
-      let currentLength = 0;
-      const textParts = [];
-      
-      // Add sentences first for context
-      while (currentLength < targetChars * 0.6 && sentences.length > 0) {
-        const sentence = sentences.splice(Math.floor(Math.random() * sentences.length), 1)[0];
-        textParts.push(sentence);
-        currentLength += sentence.length + 1; // +1 for space
+      this.snippets = [];
+    }
+    
+    this.updateTextDisplay();
+  }
+  
+  addSnippetTokens(text, snippet) {
+    // Each snippet is tokenized on its own so an unclosed string can't run into the next one
+    const syntax = this.languages.getSyntax(this.config.language);
+    const snippetText = text.substring(snippet.start, snippet.end);
+    const tokens = syntax ? this.highlighter.tokenize(snippetText, syntax) : new Array(snippetText.length).fill(null);
+    
+    if (snippet.start > 0) {
+      this.syntaxTokens.push('separator');
+    }
+    this.syntaxTokens.push(...tokens);
+  }
+  
+  findBracketPairs(text) {
+    const pairs = new Map();
+    const openers = [];
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (char === '(' || char === '[' || char === '{') {
+        openers.push(i);
+      } else if (this.brackets[char]) {
+        // Unbalanced closers (e.g. inside strings) are simply never auto-filled
+        const opener = openers[openers.length - 1];
+        if (opener !== undefined && text[opener] === this.brackets[char]) {
+          pairs.set(i, openers.pop());
+        }
       }
+    }
+    
+    return pairs;
+  }
+  
+  generateCodeText() {
+    this.snippets = [];
+    this.snippetDeck = [];
+    this.lastSnippet = null;
+    
+    // Chain snippets until the workload is covered; timed tests start with one chunk and stream the rest
+    let text = this.appendSnippet('');
+    while ((this.isEndless() && text.length < this.stream.chunkChars) ||
+           (this.config.lengthMode === 'words' && this.countWords(text) < this.config.wordCount) ||
+           (this.config.lengthMode === 'chars' && text.length < this.config.charCount)) {
+      text = this.appendSnippet(text);
+    }
+    
+    return text;
+  }
+  
+  appendSnippet(text) {
+    const snippet = this.dealSnippet();
+    const start = text ? text.length + this.snippetSeparator.length : 0;
+    
+    this.snippets.push({ start: start, end: start + snippet.length });
+    return text ? text + this.snippetSeparator + snippet : snippet;
+  }
+  
+  dealSnippet() {
+    if (this.snippetDeck.length === 0) {
+      const snippets = this.languages.getSnippets(this.config.language);
       
-      // Fill remaining with individual words
-      while (currentLength < targetChars && words.length > 0) {
-        const word = words[Math.floor(Math.random() * words.length)];
-        textParts.push(word);
-        currentLength += word.length + 1; // +1 for space
+      // Fisher-Yates on the seeded generator, so a seed still gives the same passage
+      this.snippetDeck = [...snippets];
+      for (let i = this.snippetDeck.length - 1; i > 0; i--) {
+        const j = this.random.nextInt(i + 1);
+        [this.snippetDeck[i], this.snippetDeck[j]] = [this.snippetDeck[j], this.snippetDeck[i]];
       }
       
-      text = textParts.join(' ');
+      // A fresh deck never opens with the snippet that closed the last one
+      if (this.snippetDeck.length > 1 && this.snippetDeck[this.snippetDeck.length - 1] === this.lastSnippet) {
+        this.snippetDeck.unshift(this.snippetDeck.pop());
+      }
+    }
+    
+    this.lastSnippet = this.snippetDeck.pop();
+    return this.lastSnippet;
+  }
+  
+  generateWordText(targetChars) {
+    // Generate words and sentences based on difficulty
+    const difficulty = this.contentPacks.getDifficulty(this.config.difficulty);
+    
+    if (this.config.mode === 'adaptive') {
+      return this.generateAdaptiveText(difficulty, targetChars);
+    }
+    
+    return this.generateMixedText(difficulty, targetChars);
+  }
+  
+  generateMixedText(difficulty, targetChars) {
+    // With a text option on, sentences are broken into plain words so the options decide every
+    // capital and punctuation mark, instead of only touching the loose words after the sentences
+    if (this.hasTextOptions()) {
+      return this.generateDecoratedText(difficulty, targetChars);
+    }
+    
+    // Mix words and sentences
+    const words = [...difficulty.words];
+    const sentences = [...difficulty.sentences];
+    
+    let currentLength = 0;
+    const textParts = [];
+    
+    // Add sentences first for context
+    while (currentLength < targetChars * 0.6 && sentences.length > 0) {
+      const sentence = sentences.splice(this.random.nextInt(sentences.length), 1)[0];
+      textParts.push(sentence);
+      currentLength += sentence.length + 1; // +1 for space
+    }
+    
+    // Fill remaining with individual words
+    const looseWords = [];
+    while (currentLength < targetChars && words.length > 0) {
+      const word = this.random.pick(words);
+      looseWords.push(word);
+      currentLength += word.length + 1; // +1 for space
     }
+    textParts.push(...this.decorateWords(looseWords));
     
+    return textParts.join(' ');
+  }
+  
+  generateAdaptiveText(difficulty, targetChars) {
+    // Words only, weighted toward the keys and bigrams the player has been weakest on;
+    // the tier's sentences are broken into words to give the weighting more to choose from
+    const pool = new Set(difficulty.words);
+    difficulty.sentences.forEach(sentence => {
+      (sentence.toLowerCase().match(/[a-z]+/g) || []).forEach(word => pool.add(word));
+    });
+    
+    // A tier without Latin words (say, only Cyrillic sentences) leaves nothing to weight, so it is used as written
+    if (pool.size === 0) {
+      return this.generateMixedText(difficulty, targetChars);
+    }
+    
+    const words = this.adaptive.pickWords(Array.from(pool), targetChars, this.random);
+    return this.decorateWords(words).join(' ');
+  }
+  
+  generateDecoratedText(difficulty, targetChars) {
+    const pool = new Set();
+    [...difficulty.words, ...difficulty.sentences].forEach(text => {
+      (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).forEach(word => pool.add(word));
+    });
+    
+    const words = Array.from(pool);
+    const picked = [];
+    let length = 0;
+    
+    while (length < targetChars && words.length > 0) {
+      const word = this.random.pick(words);
+      picked.push(word);
+      length += word.length + 1; // +1 for space
+    }
+    
+    return this.decorateWords(picked).join(' ');
+  }
+  
+  hasTextOptions() {
+    return Object.values(this.config.textOptions).some(Boolean);
+  }
+  
+  decorateWords(words) {
+    // Applies the text options to loose words, noting which options changed each one
+    const options = this.config.textOptions;
+    if (!this.hasTextOptions()) return words;
+    
+    const settings = this.textDecoration;
+    const decorated = [];
+    let runLength = 0;
+    let runTarget = 0;
+    
+    const push = (text, applied) => {
+      decorated.push(text);
+      (text.match(/\S+/g) || []).forEach(token => this.decorations.push({ token: token, options: applied }));
+    };
+    
+    words.forEach((word, index) => {
+      if (runLength === 0) {
+        runTarget = settings.minRunWords + this.random.nextInt(settings.maxRunWords - settings.minRunWords + 1);
+      }
+      runLength++;
+      
+      const isRunStart = runLength === 1;
+      const isRunEnd = runLength === runTarget || index === words.length - 1;
+      
+      if (options.numbers && this.random.next() < settings.numberChance) {
+        push(String(this.random.nextInt(10000)), ['numbers']);
+      }
+      
+      const applied = [];
+      let part = isRunStart && options.capitalize ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+      const symbol = options.symbols && this.random.next() < settings.symbolChance ? this.random.pick(settings.symbols) : null;
+      if (part !== word) {
+        applied.push('capitalize');
+      }
+      
+      if (symbol === '=' && !isRunStart) {
+        push(symbol, ['symbols']);
+      } else if (symbol && symbol.length === 2) {
+        part = symbol[0] + part + symbol[1];
+        applied.push('symbols');
+      }
+      
+      // A run ending takes the place of a ";" or comma
+      if (options.punctuation && isRunEnd) {
+        part += this.random.pick(settings.endings);
+        applied.push('punctuation');
+      } else if (symbol === ';') {
+        part += symbol;
+        applied.push('symbols');
+      } else if (options.punctuation && this.random.next() < settings.commaChance) {
+        part += ',';
+        applied.push('punctuation');
+      }
+      
+      push(part, applied);
+      if (isRunEnd) {
+        runLength = 0;
+      }
+    });
+    
+    return decorated;
+  }
+  
+  getTextOptions() {
+    // Text options only shape generated word text; other modes record them as off
+    const active = this.isWordMode();
+    return Object.fromEntries(Object.entries(this.config.textOptions).map(([option, enabled]) => [option, active && enabled]));
+  }
+  
+  getAppliedTextOptions() {
+    // The options that changed a word that made it into the passage whole;
+    // a short test can end before a number or symbol is ever drawn
+    const tokens = this.state.currentText.match(/\S+/g) || [];
+    const applied = new Set();
+    
+    if (this.isWordMode()) {
+      this.decorations.forEach((decoration, index) => {
+        if (tokens[index] === decoration.token) {
+          decoration.options.forEach(option => applied.add(option));
+        }
+      });
+    }
+    
+    return Object.fromEntries(Object.keys(this.config.textOptions).map(option => [option, applied.has(option)]));
+  }
+  
+  isWordMode() {
+    // Modes whose text is generated from the difficulty's words and sentences
+    return this.config.mode === 'words' || this.config.mode === 'adaptive';
+  }
+  
+  isEndless() {
+    return (this.isWordMode() || this.config.mode === 'code') && this.isTimed();
+  }
+  
+  extendTextIfNeeded() {
+    if (!this.isEndless()) return;
+    
+    const remaining = this.state.currentText.length - this.state.currentPosition;
+    if (remaining >= this.stream.refillThreshold) return;
+    
+    if (this.config.mode === 'code') {
+      this.extendCodeText();
+    } else {
+      const chunk = this.generateWordText(this.stream.chunkChars);
+      if (chunk) {
+        this.state.currentText += ' ' + chunk;
+      }
+    }
+  }
+  
+  extendCodeText() {
+    let text = this.state.currentText;
+    const firstNew = this.snippets.length;
+    
+    while (text.length - this.state.currentPosition < this.stream.refillThreshold) {
+      text = this.appendSnippet(text);
+    }
+    
+    // Tokens grow in place so the renderer keeps its spans and just appends the new ones
+    this.snippets.slice(firstNew).forEach(snippet => this.addSnippetTokens(text, snippet));
+    this.bracketPairs = this.findBracketPairs(text);
     this.state.currentText = text;
-    this.updateTextDisplay();
+  }
+  
+  updateDisplayWindow() {
+    if (!this.isEndless()) {
+      this.state.displayStart = 0;
+      return;
+    }
+    
+    // Trim old text from the front of the display, always at the start of a rendered line
+    // so the lines that stay on screen don't reflow
+    const behind = this.state.currentPosition - this.state.displayStart;
+    if (behind > this.stream.maxRenderedBehind || behind < 0) {
+      const target = Math.max(0, this.state.currentPosition - this.stream.keepBehind);
+      const lineStart = this.findDisplayLineStart(target);
+      
+      if (lineStart > this.state.displayStart) {
+        this.state.displayStart = lineStart;
+      } else {
+        // No layout to measure (or the target is already trimmed): fall back to a word boundary
+        const boundary = this.state.currentText.lastIndexOf(' ', target);
+        this.state.displayStart = boundary < 0 ? 0 : boundary + 1;
+      }
+    }
+  }
+  
+  findDisplayLineStart(index) {
+    const offset = this.renderer.startIndex;
+    if (index < offset) return index;
+    
+    return offset + this.viewport.findLineStart(this.renderer.spans, index - offset);
+  }
+  
+  getTargetChars() {
+    switch (this.config.lengthMode) {
+      case 'words':
+        return this.config.wordCount * 6;
+      case 'chars':
+        return this.config.charCount + 20;
+      default: {
+        // Calculate target length based on time and average WPM
+        const targetWPM = 40; // Average typing speed
+        const targetWords = targetWPM * this.config.time;
+        return targetWords * 5; // 5 chars per word average
+      }
+    }
+  }
+  
+  countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+  }
+  
+  truncateToWords(text, wordCount) {
+    const wordPattern = /\S+/g;
+    let match;
+    let count = 0;
+    
+    while ((match = wordPattern.exec(text)) !== null) {
+      count++;
+      if (count === wordCount) {
+        return text.substring(0, match.index + match[0].length);
+      }
+    }
+    
+    return text;
   }
   
   resetState() {
     this.state.isActive = false;
+    this.state.isArmed = false;
     this.state.isPaused = false;
-    this.state.startTime = null;
-    this.state.endTime = null;
-    this.state.timeRemaining = this.config.time * 60; // Convert to seconds
+    this.clock.reset(this.isTimed() ? this.config.time * 60 * 1000 : null);
     this.state.typedText = '';
     this.state.currentPosition = 0;
+    this.state.displayStart = 0;
     this.state.errors = 0;
+    this.state.uncorrectedErrors = 0;
     this.state.totalChars = 0;
     this.state.correctChars = 0;
+    this.state.keystrokes = [];
+    this.state.charsPerSecond = [];
+    this.state.correctPerSecond = [];
+    this.state.errorsPerSecond = [];
+    this.state.autoPositions = [];
+    this.state.snippetTimes = [];
     
     if (this.elements.typingInput) {
       this.elements.typingInput.value = '';
@@ -193,11 +591,26 @@ class TypingTestManager {
     this.clearTimer();
   }
   
+  arm() {
+    // Show the passage and start timing on the first keystroke instead of right away
+    this.state.isArmed = true;
+    this.state.isPaused = false;
+    
+    this.handleResize();
+    this.updateStats();
+    
+    console.log('Typing test armed');
+  }
+  
   start() {
     this.state.isActive = true;
+    this.state.isArmed = false;
     this.state.isPaused = false;
-    this.state.startTime = Date.now();
     
+    // The game screen is visible now, so the viewport can measure its lines
+    this.handleResize();
+    
+    this.clock.start();
     this.startTimer();
     this.updateStats();
     
@@ -206,6 +619,7 @@ class TypingTestManager {
   
   pause() {
     this.state.isPaused = true;
+    this.clock.pause();
     this.clearTimer();
     
     if (this.elements.typingInput) {
@@ -217,6 +631,7 @@ class TypingTestManager {
   
   resume() {
     this.state.isPaused = false;
+    this.clock.resume();
     this.startTimer();
     
     if (this.elements.typingInput) {
@@ -228,7 +643,8 @@ class TypingTestManager {
   
   stop() {
     this.state.isActive = false;
-    this.state.endTime = Date.now();
+    this.state.isArmed = false;
+    this.clock.stop();
     this.clearTimer();
     
     if (this.elements.typingInput) {
@@ -248,17 +664,16 @@ class TypingTestManager {
   startTimer() {
     this.clearTimer();
     
+    // Only refreshes the display: elapsed and remaining time are read from the clock
     this.timer = setInterval(() => {
       if (!this.state.isPaused && this.state.isActive) {
-        this.state.timeRemaining--;
-        
-        if (this.state.timeRemaining <= 0) {
-          this.completeTest();
-        } else {
-          this.updateStats();
-        }
+        this.updateStats();
       }
-    }, 1000);
+    }, this.refreshInterval);
+  }
+  
+  isTimed() {
+    return this.config.lengthMode === 'time';
   }
   
   clearTimer() {
@@ -269,17 +684,35 @@ class TypingTestManager {
   }
   
   handleInput(e) {
+    if (this.state.isArmed && !this.state.isPaused) {
+      this.start();
+    }
+    
     if (!this.state.isActive || this.state.isPaused) {
       return;
     }
     
+    // A key that lands after the deadline but before its callback ran doesn't count
+    if (this.clock.hasExpired()) {
+      this.completeTest();
+      return;
+    }
+    
     const inputValue = e.target.value;
     const inputLength = inputValue.length;
     
     // Handle backspace
     if (inputLength < this.state.typedText.length) {
+      this.recordKeystroke({
+        type: 'backspace',
+        position: inputLength,
+        count: this.state.typedText.length - inputLength
+      });
+      
+      this.state.uncorrectedErrors -= this.countUncorrectedErrors(inputLength, this.state.typedText.length);
       this.state.typedText = inputValue;
       this.state.currentPosition = inputLength;
+      this.forgetAutoPositions(inputLength);
       this.updateTextDisplay();
       this.updateStats();
       return;
@@ -288,19 +721,63 @@ class TypingTestManager {
     // Get the newly typed character
     const newChar = inputValue[inputLength - 1];
     const expectedChar = this.state.currentText[this.state.currentPosition];
+    const isTabForSpaces = this.isTabForSpaces(newChar, expectedChar);
+    const isCorrect = newChar === expectedChar || isTabForSpaces;
     
     this.state.totalChars++;
     
-    if (newChar === expectedChar) {
+    // Rejected keystrokes count as errors but leave the cursor where it is
+    if (this.shouldBlockInput(isCorrect)) {
+      this.state.errors++;
+      
+      this.recordKeystroke({
+        type: 'char',
+        position: this.state.currentPosition,
+        expected: expectedChar,
+        typed: newChar,
+        correct: false,
+        blocked: true
+      });
+      
+      e.target.value = this.state.typedText;
+      
+      if (this.onIncorrectKey) {
+        this.onIncorrectKey();
+      }
+      
+      this.updateStats();
+      return;
+    }
+    
+    // A Tab standing in for spaces enters the space it matched
+    const typedChar = isTabForSpaces ? expectedChar : newChar;
+    
+    this.recordKeystroke({
+      type: 'char',
+      position: inputLength - 1,
+      expected: expectedChar,
+      typed: typedChar,
+      correct: isCorrect
+    });
+    
+    if (isCorrect) {
       // Correct character
       this.state.correctChars++;
-      this.state.typedText = inputValue;
+      this.state.typedText = inputValue.substring(0, inputLength - 1) + typedChar;
       this.state.currentPosition = inputLength;
       
       if (this.onCorrectKey) {
         this.onCorrectKey();
       }
       
+      this.applyCodeAssists(newChar);
+      if (e.target.value !== this.state.typedText) {
+        e.target.value = this.state.typedText;
+      }
+      
+      this.updateSnippetTimes();
+      this.extendTextIfNeeded();
+      
       // Check if test is complete
       if (this.state.currentPosition >= this.state.currentText.length) {
         this.completeTest();
@@ -316,14 +793,179 @@ class TypingTestManager {
       }
       
       // Allow the incorrect character to be typed
+      this.state.uncorrectedErrors++;
       this.state.typedText = inputValue;
       this.state.currentPosition = inputLength;
+      
+      this.updateSnippetTimes();
+      this.extendTextIfNeeded();
     }
     
     this.updateTextDisplay();
     this.updateStats();
   }
   
+  isTabForSpaces(newChar, expectedChar) {
+    return this.config.mode === 'code' && this.config.codeOptions.tabMatchesSpaces &&
+      newChar === '\t' && expectedChar === ' ';
+  }
+  
+  applyCodeAssists(typedChar) {
+    if (this.config.mode !== 'code') return;
+    
+    const options = this.config.codeOptions;
+    const text = this.state.currentText;
+    const isTab = typedChar === '\t';
+    
+    // Keep filling in characters the user doesn't have to type
+    while (this.state.currentPosition < text.length) {
+      const position = this.state.currentPosition;
+      const char = text[position];
+      
+      const fillsTabRun = isTab && options.tabMatchesSpaces && char === ' ' && !this.isAtIndentStop(position);
+      const fillsIndent = options.autoIndent && (char === ' ' || char === '\t') && this.isInLeadingIndent(position);
+      const fillsBracket = options.autoPairBrackets && this.isPairedCloser(position);
+      
+      if (!fillsTabRun && !fillsIndent && !fillsBracket) break;
+      
+      this.insertAutoChar();
+    }
+  }
+  
+  isAtIndentStop(position) {
+    const lineStart = this.state.currentText.lastIndexOf('\n', position - 1) + 1;
+    const indent = this.languages.getIndent(this.config.language);
+    
+    // Tab-indented languages have no space stops, so a tab just covers the run of spaces
+    return indent.unit === 'spaces' && (position - lineStart) % indent.size === 0;
+  }
+  
+  isInLeadingIndent(position) {
+    // Only indentation after a typed line break, not the start of the passage
+    const lineStart = this.state.currentText.lastIndexOf('\n', position - 1) + 1;
+    if (lineStart === 0) return false;
+    
+    return /^[ \t]*$/.test(this.state.currentText.substring(lineStart, position));
+  }
+  
+  isPairedCloser(position) {
+    const opener = this.bracketPairs.get(position);
+    return opener !== undefined && this.state.typedText[opener] === this.state.currentText[opener];
+  }
+  
+  insertAutoChar() {
+    const position = this.state.currentPosition;
+    const char = this.state.currentText[position];
+    
+    // Filled-in characters are logged for the replay but never count as keystrokes
+    this.recordKeystroke({
+      type: 'char',
+      position: position,
+      expected: char,
+      typed: char,
+      correct: true,
+      auto: true
+    });
+    
+    this.state.typedText += char;
+    this.state.currentPosition++;
+    this.state.autoPositions.push(position);
+  }
+  
+  forgetAutoPositions(length) {
+    const positions = this.state.autoPositions;
+    while (positions.length > 0 && positions[positions.length - 1] >= length) {
+      positions.pop();
+    }
+  }
+  
+  updateSnippetTimes() {
+    // A snippet is finished once the cursor passes its last character
+    const times = this.state.snippetTimes;
+    while (times.length < this.snippets.length && this.state.currentPosition >= this.snippets[times.length].end) {
+      times.push(this.clock.getElapsed());
+    }
+  }
+  
+  getSnippetResults() {
+    const times = this.state.snippetTimes;
+    const results = [];
+    
+    this.snippets.forEach((snippet, index) => {
+      // Only finished snippets and the one in progress; snippets beyond it were never reached
+      const completed = index < times.length;
+      const position = completed ? snippet.end : Math.min(this.state.currentPosition, snippet.end);
+      if (index > times.length || position <= snippet.start) return;
+      
+      // Each snippet's time runs from the end of the one before, so the separator counts towards it
+      const startedAt = index > 0 ? times[index - 1] : 0;
+      const time = (completed ? times[index] : this.clock.getElapsed()) - startedAt;
+      const autoChars = this.state.autoPositions.filter(auto => auto >= snippet.start && auto < position).length;
+      const chars = position - snippet.start - autoChars;
+      
+      results.push({
+        index: index,
+        preview: this.state.currentText.substring(snippet.start, snippet.end).split('\n')[0],
+        chars: chars,
+        time: time,
+        wpm: time > 0 ? (chars / 5) / (time / 60000) : 0,
+        completed: completed
+      });
+    });
+    
+    return results;
+  }
+  
+  shouldBlockInput(isCorrect) {
+    switch (this.config.errorMode) {
+      case 'strict':
+        // Cursor waits until the right key is pressed
+        return !isCorrect;
+      case 'correct':
+        // A word can't be finished while it still has errors
+        return this.isAtWordEnd() && (!isCorrect || this.currentWordHasErrors());
+      default:
+        return false;
+    }
+  }
+  
+  isAtWordEnd() {
+    const position = this.state.currentPosition;
+    const text = this.state.currentText;
+    
+    return position >= text.length - 1 || /\s/.test(text[position]);
+  }
+  
+  currentWordHasErrors() {
+    const text = this.state.currentText;
+    
+    for (let i = this.state.currentPosition - 1; i >= 0 && !/\s/.test(text[i]); i--) {
+      if (this.state.typedText[i] !== text[i]) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  recordKeystroke(keystroke) {
+    // Times are active test time since the start, pauses left out, so a run can be replayed
+    const time = Math.round(this.clock.getElapsed());
+    
+    this.state.keystrokes.push({
+      time: time,
+      ...keystroke
+    });
+    
+    // Bucket typed characters per second for the consistency score and the speed chart
+    if (keystroke.type === 'char' && !keystroke.auto) {
+      const second = Math.floor(time / 1000);
+      const bucket = keystroke.correct ? this.state.correctPerSecond : this.state.errorsPerSecond;
+      this.state.charsPerSecond[second] = (this.state.charsPerSecond[second] || 0) + 1;
+      bucket[second] = (bucket[second] || 0) + 1;
+    }
+  }
+  
   handleKeyDown(e) {
     // Handle special keys if needed
     if (e.key === 'Tab') {
@@ -347,77 +989,65 @@ class TypingTestManager {
   updateTextDisplay() {
     if (!this.elements.textDisplay) return;
     
-    const text = this.state.currentText;
-    const typedLength = this.state.currentPosition;
-    let html = '';
+    const previousStart = this.state.displayStart;
+    this.updateDisplayWindow();
     
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-      let className = 'untyped';
-      
-      if (i < typedLength) {
-        // Character has been typed
-        const typedChar = this.state.typedText[i];
-        if (typedChar === char) {
-          className = 'correct';
-        } else {
-          className = 'incorrect';
-        }
-      } else if (i === typedLength) {
-        // Current character to type
-        className = 'current';
-      }
-      
-      // Handle special characters for HTML display
-      let displayChar = char;
-      if (char === ' ') {
-        displayChar = '&nbsp;';
-      } else if (char === '\n') {
-        displayChar = '<br>';
-      } else if (char === '\t') {
-        displayChar = '&nbsp;&nbsp;&nbsp;&nbsp;';
-      } else if (char === '<') {
-        displayChar = '&lt;';
-      } else if (char === '>') {
-        displayChar = '&gt;';
-      } else if (char === '&') {
-        displayChar = '&amp;';
-      }
-      
-      html += `<span class="${className}">${displayChar}</span>`;
-    }
+    this.renderer.render(
+      this.state.currentText,
+      this.state.typedText,
+      this.state.currentPosition,
+      this.state.displayStart,
+      this.syntaxTokens
+    );
     
-    this.elements.textDisplay.innerHTML = html;
+    // Trimming moves every line up, so the viewport jumps instead of sliding
+    this.viewport.update(this.renderer.getCursorElement(), this.state.displayStart !== previousStart);
+  }
+  
+  handleResize() {
+    if (!this.viewport) return;
+    
+    // Line height, visible lines and line breaks all depend on the window size
+    this.viewport.measure();
+    this.viewport.update(this.renderer.getCursorElement(), true);
   }
   
   updateStats() {
     const stats = this.calculateStats();
     
     if (this.onStatsUpdate) {
-      this.onStatsUpdate({
-        ...stats,
-        formattedText: this.elements.textDisplay?.innerHTML || ''
-      });
+      this.onStatsUpdate(stats);
     }
   }
   
   calculateStats() {
-    const timeElapsed = this.state.startTime ? (Date.now() - this.state.startTime) / 1000 : 0;
+    const timeElapsed = this.clock.getElapsed() / 1000;
     
     // Calculate WPM (Words Per Minute)
     // Standard: 5 characters = 1 word
     const minutes = Math.max(timeElapsed / 60, 1/60); // Prevent division by zero
     const wpm = (this.state.correctChars / 5) / minutes;
     
+    // Raw WPM counts every keystroke; net WPM takes off uncorrected errors per minute
+    const rawWpm = (this.state.totalChars / 5) / minutes;
+    const uncorrectedErrors = this.state.uncorrectedErrors;
+    const netWpm = rawWpm - uncorrectedErrors / minutes;
+    
     // Calculate accuracy
     const accuracy = this.state.totalChars > 0 ? (this.state.correctChars / this.state.totalChars) * 100 : 100;
     
     return {
       wpm: Math.max(0, wpm),
+      rawWpm: Math.max(0, rawWpm),
+      netWpm: Math.max(0, netWpm),
+      consistency: this.calculateConsistency(timeElapsed),
+      uncorrectedErrors: uncorrectedErrors,
       accuracy: Math.max(0, Math.min(100, accuracy)),
-      timeRemaining: Math.max(0, this.state.timeRemaining),
+      timeRemaining: Math.ceil(this.clock.getRemaining() / 1000),
       timeElapsed: timeElapsed,
-      charactersTyped: this.state.currentPosition,
+      lengthMode: this.config.lengthMode,
+      seed: this.state.seed,
+      charactersTyped: this.state.currentPosition - this.state.autoPositions.length,
       correctChars: this.state.correctChars,
       errors: this.state.errors,
       totalChars: this.state.totalChars,
@@ -425,10 +1055,83 @@ class TypingTestManager {
     };
   }
   
+  countUncorrectedErrors(start, end) {
+    // Only the span a backspace removes is scanned, so stats stay cheap on long tests
+    let count = 0;
+    
+    for (let i = start; i < end; i++) {
+      if (this.state.typedText[i] !== this.state.currentText[i]) {
+        count++;
+      }
+    }
+    
+    return count;
+  }
+  
+  calculateConsistency(timeElapsed) {
+    // Spread of per-second raw WPM over every completed second, as 100 - coefficient of variation
+    const seconds = Math.floor(timeElapsed);
+    if (seconds < 2) {
+      return 100;
+    }
+    
+    const samples = [];
+    for (let i = 0; i < seconds; i++) {
+      samples.push(((this.state.charsPerSecond[i] || 0) / 5) * 60);
+    }
+    
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    if (mean === 0) {
+      return 0;
+    }
+    
+    const variance = samples.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / samples.length;
+    const coefficientOfVariation = Math.sqrt(variance) / mean;
+    
+    return Math.max(0, Math.min(100, (1 - coefficientOfVariation) * 100));
+  }
+  
+  getSpeedSamples() {
+    // One sample per second of active time; a last part-second under half a second joins the one before,
+    // so a single late keystroke doesn't show up as a spike
+    const elapsed = this.clock.getElapsed();
+    const count = Math.max(1, Math.round(elapsed / 1000));
+    const samples = [];
+    let correct = 0;
+    
+    for (let i = 0; i < count; i++) {
+      const isLast = i === count - 1;
+      const start = i * 1000;
+      const end = isLast ? Math.max(elapsed, start + 1) : start + 1000;
+      const seconds = isLast ? Math.max(i, this.state.charsPerSecond.length - 1, this.state.errorsPerSecond.length - 1) : i;
+      let chars = 0;
+      let errors = 0;
+      
+      for (let second = i; second <= seconds; second++) {
+        correct += this.state.correctPerSecond[second] || 0;
+        chars += this.state.charsPerSecond[second] || 0;
+        errors += this.state.errorsPerSecond[second] || 0;
+      }
+      
+      samples.push({
+        second: i + 1,
+        wpm: (correct / 5) / (end / 60000), // Running WPM, as shown during the test
+        raw: (chars / 5) / ((end - start) / 60000), // Raw WPM within this second alone
+        errors: errors
+      });
+    }
+    
+    return samples;
+  }
+  
   completeTest() {
     this.stop();
     
     const results = this.calculateStats();
+    results.textOptions = this.getTextOptions();
+    results.appliedTextOptions = this.getAppliedTextOptions();
+    results.snippets = this.getSnippetResults();
+    results.samples = this.getSpeedSamples();
     
     if (this.onComplete) {
       this.onComplete(results);
@@ -461,4 +1164,20 @@ class TypingTestManager {
   getTypedText() {
     return this.state.typedText;
   }
+  
+  getKeystrokes() {
+    return this.state.keystrokes;
+  }
+  
+  getRecording() {
+    const keystrokes = [...this.state.keystrokes];
+    const lastKeystroke = keystrokes[keystrokes.length - 1];
+    
+    return {
+      text: this.state.currentText,
+      tokens: this.syntaxTokens,
+      keystrokes: keystrokes,
+      duration: lastKeystroke ? lastKeystroke.time : 0
+    };
+  }
 }
\ No newline at end of file